@@ -1,239 +1,301 @@
 const fs = require('fs');
 const path = require('path');
-const csv = require('csv-parser');
+const { EventEmitter } = require('events');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
-const cliProgress = require('cli-progress');
-const { OpenAI } = require('openai');
-const axios = require('axios');
 require('dotenv').config();
+const { loadConfig, mergeConfig } = require('./lib/config');
+const { createSearchProvider, formatSearchResults } = require('./lib/search-providers');
+const { createLLMBackend } = require('./lib/llm-backend');
+const {
+    PARSE_STATUS,
+    buildResponseFormat,
+    buildFormatInstructions,
+    parseJSONResponse,
+    validateAnalysis,
+    normalizeAnalysis,
+    parseTextResponse
+} = require('./lib/analysis');
+const { EmailPatternModel } = require('./lib/email-patterns');
+const { splitFullName, buildConnectionKey, legacyConnectionKey } = require('./lib/name-normalizer');
+const { DomainResolver } = require('./lib/domain-resolver');
+const { EmailValidator } = require('./lib/email-validator');
+const { EvidenceVerifier } = require('./lib/evidence');
+const { RateLimiter } = require('./lib/rate-limiter');
+const { runWorkerPool, SerialQueue } = require('./lib/worker-pool');
+const { withRetry, classifyError } = require('./lib/retry');
+const { ResultStore } = require('./lib/result-store');
+const { ResponseCache, normalizeQuery } = require('./lib/response-cache');
+const { CostTracker } = require('./lib/cost-tracker');
+const { loadInput, createInputAdapter, normalizeConnection } = require('./lib/input-adapters');
+const { buildEnrichedExport, writeEnrichedCsv, meetsConfidence } = require('./lib/enriched-export');
+const { parseReviewConfidence, needsReview, isAccepted, buildReviewChanges, findExcerpts } = require('./lib/review');
+const { createExporter, loadMappingFile, buildExportRecord } = require('./lib/exporters');
+const { ResultDelivery } = require('./lib/result-delivery');
+const { ConnectionTargeting, REJECT_REASONS } = require('./lib/targeting');
+const { EXIT_CODES, CliError, parseArgs, loadConfigFile, optionOverrides, showHelp } = require('./lib/cli');
+const { executeCommand } = require('./lib/commands');
+const { attachCliReporter } = require('./lib/cli-reporter');
 
-class LinkedInEmailFinder {
-    constructor() {
-        // Initialize OpenAI client
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
+// Rough sizes for --dry-run estimates: tokens per uncached search result and per model answer
+const DRY_RUN_TOKENS_PER_SEARCH_RESULT = 80;
+const DRY_RUN_COMPLETION_TOKENS = 200;
+
+/**
+ * Finds business emails for contacts with web search plus an LLM.
+ *
+ * The finder never writes to the terminal: it reports through events, and
+ * the CLI prints them (see lib/cli-reporter.js). Events:
+ *   log          { level: 'info'|'warn', message } - Spanish status messages
+ *   start        { total, totalMissing, previous, resume, workers }
+ *   lookup:start { connection, name, index, workerId }
+ *   lookup:done  { connection, result, completed, total, workerId }
+ *   error        { name, company, code, retryable, message, error } - a lookup failed (its result has status 'error')
+ *   progress     { completed, total, name, tokens, cost, finished, budgetStop }
+ *   done         { results, newResults, completed, total, budgetStop, delivery }
+ * `error` is only emitted while someone listens, so an unhandled lookup
+ * failure never throws; fatal errors reject the returned promise instead.
+ */
+class LinkedInEmailFinder extends EventEmitter {
+    /**
+     * @param {Object} options - Configuration overrides (see lib/config.js)
+     */
+    constructor(options = {}) {
+        super();
+        this.config = loadConfig(options);
+        
+        // Offline replay and dry runs must not touch the network, so DNS checks and delivery are off too
+        if (this.config.cache.offline || this.config.dryRun.enabled) {
+            this.config.domains.dnsLookup = false;
+            this.config.validation.dnsCheck = false;
+            this.config.delivery.enabled = false;
+        }
+        
+        // Disk cache of search responses and model outputs, keyed on their content
+        this.cache = new ResponseCache(this.config.cache);
+        
+        // Per-model token prices and the running totals checked against --max-cost / --max-tokens
+        this.costs = new CostTracker(this.config.llm, this.config.budget);
+        this.budgetStop = null;
+        this.stopRequested = false;
+        
+        // Initialize web search provider
+        this.searchProvider = createSearchProvider(this.config.search);
+        
+        // Initialize LLM backend (OpenAI or an OpenAI-compatible local server)
+        this.llm = createLLMBackend(this.config.llm);
+        
+        // Company email patterns, learned from connections that already have an email
+        this.emailPatterns = new EmailPatternModel(this.config.patterns);
+        
+        // Company name -> email domain resolution (overrides, known emails, cache, DNS)
+        this.domainResolver = new DomainResolver(this.config.domains);
+        this.domainResolver.useEmailPatterns(this.emailPatterns);
+        
+        // Post-extraction checks (syntax, MX, disposable/free-mail, role accounts)
+        this.emailValidator = new EmailValidator(this.config.validation);
+        
+        // Checks model-extracted emails against the search results they came from
+        this.evidenceVerifier = new EvidenceVerifier(this.config.evidence);
+        
+        // Which connections get searched, and in what order
+        this.targeting = new ConnectionTargeting(this.config.targeting);
+        
+        // Separate rate limits for the search provider and the LLM
+        this.searchLimiter = new RateLimiter({ requestsPerMinute: this.config.rateLimits.searchRpm });
+        this.llmLimiter = new RateLimiter({
+            requestsPerMinute: this.config.rateLimits.llmRpm,
+            tokensPerMinute: this.config.rateLimits.llmTpm
         });
         
         // Load configuration from environment variables
-        this.batchSize = parseInt(process.env.BATCH_SIZE) || 5;
-        this.delay = parseInt(process.env.DELAY_BETWEEN_REQUESTS) || 2000; // in milliseconds
-        this.outputFile = process.env.OUTPUT_FILE || 'email_search_results.csv';
-        this.progressFile = process.env.PROGRESS_FILE || 'search_progress.json';
-        
-        // Initialize progress bar
-        this.progressBar = new cliProgress.SingleBar({
-            format: 'Progreso |{bar}| {percentage}% | {value}/{total} | ETA: {eta}s | {status}',
-            barCompleteChar: '\u2588',
-            barIncompleteChar: '\u2591',
-            hideCursor: true
-        });
+        this.concurrency = this.config.processing.concurrency;
+        this.outputFile = this.config.output.file;
+        this.progressFile = this.config.store.file;
+        
+        // Older versions wrote a single JSON document; it is imported into the JSONL store on first use
+        if (this.progressFile.endsWith('.json')) {
+            this.progressFile += 'l';
+        }
+        this.legacyProgressFile = this.progressFile.replace(/\.jsonl$/, '.json');
+        this.store = new ResultStore(this.progressFile, this.config.store);
+        
+        // Optional push of each finished result to a webhook or CRM
+        this.delivery = new ResultDelivery(this.config.delivery, this.config.retry);
+        
+        // The helpers report warnings through onWarning, a no-op unless someone wires it, so using
+        // one on its own stays silent; here they go out as log events like the finder's own
+        for (const part of [this.cache, this.llm, this.domainResolver, this.store, this.delivery]) {
+            part.onWarning = message => this.warn(message);
+        }
     }
     
     /**
-     * Load and preprocess LinkedIn connections data
-     * @param {string} filePath - Path to the CSV file
-     * @returns {Promise<Array>} Array of connection objects
+     * A finder with this one's configuration plus overrides (other input,
+     * progress and results files), for runs side by side. It shares this
+     * finder's rate limiters, so parallel runs stay within the same limits.
+     * @param {Object} overrides - Configuration overrides (see lib/config.js)
+     * @returns {LinkedInEmailFinder} New finder
      */
-    async loadConnections(filePath) {
-        return new Promise((resolve, reject) => {
-            const connections = [];
-            let skipLines = 0;
-            let headerLine = null;
-            
-            if (!fs.existsSync(filePath)) {
-                reject(new Error(`El archivo ${filePath} no existe`));
-                return;
-            }
-            
-            // First pass: find the header line (LinkedIn CSV has notes at the beginning)
-            const firstPass = fs.createReadStream(filePath)
-                .pipe(csv({ skipEmptyLines: true }))
-                .on('headers', (headers) => {
-                    // Check if this looks like a real header
-                    if (headers.includes('First Name') || headers.includes('Full Name')) {
-                        headerLine = headers;
-                        firstPass.destroy(); // Stop reading
-                    }
-                })
-                .on('error', () => {
-                    // If first approach fails, try second pass
-                    this.loadConnectionsSecondAttempt(filePath, resolve, reject);
-                });
-            
-            // Give first pass a moment, then try second approach
-            setTimeout(() => {
-                if (headerLine) {
-                    this.loadConnectionsWithHeaders(filePath, resolve, reject);
-                } else {
-                    this.loadConnectionsSecondAttempt(filePath, resolve, reject);
-                }
-            }, 100);
-        });
+    fork(overrides = {}) {
+        const finder = new LinkedInEmailFinder(mergeConfig(this.config, overrides));
+        finder.searchLimiter = this.searchLimiter;
+        finder.llmLimiter = this.llmLimiter;
+        return finder;
     }
     
     /**
-     * Load connections with known headers
+     * Ask a running processConnections to stop: no new lookups are started,
+     * the ones in flight are saved, and the rest stay pending for --resume
      */
-    loadConnectionsWithHeaders(filePath, resolve, reject) {
-        const connections = [];
-        
-        fs.createReadStream(filePath)
-            .pipe(csv())
-            .on('data', (row) => {
-                // Skip rows that don't have proper data
-                if (!row['First Name'] && !row['Full Name'] && Object.keys(row).length < 3) {
-                    return;
-                }
-                
-                // Normalize the data to standard format
-                const cleanedRow = this.normalizeConnectionData(row);
-                if (cleanedRow) {
-                    connections.push(cleanedRow);
-                }
-            })
-            .on('end', () => {
-                console.log(`✅ Cargadas ${connections.length} conexiones desde ${filePath}`);
-                resolve(connections);
-            })
-            .on('error', (error) => {
-                reject(error);
-            });
+    stop() {
+        this.stopRequested = true;
+    }
+    
+    /**
+     * Report a status message to listeners
+     * @param {string} message - Spanish message
+     */
+    info(message) {
+        this.emit('log', { level: 'info', message });
+    }
+    
+    /**
+     * Report a problem that doesn't stop the run
+     * @param {string} message - Spanish message
+     */
+    warn(message) {
+        this.emit('log', { level: 'warn', message });
     }
     
     /**
-     * Alternative loading method for different CSV formats
+     * Normalize connection objects given by a caller (any casing of fullName,
+     * firstName, lastName, company, position, email, url...), the same way
+     * the JSON input format reads them
+     * @param {Array<Object>} items - Connection objects
+     * @returns {Array<Object>} Normalized connections (those without a name are dropped)
      */
-    loadConnectionsSecondAttempt(filePath, resolve, reject) {
-        const fs = require('fs');
-        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    normalizeConnections(items) {
+        const adapter = createInputAdapter('json');
         const connections = [];
-        
-        // Find the header line
-        let headerIndex = -1;
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].includes('First Name') || lines[i].includes('Full Name')) {
-                headerIndex = i;
-                break;
+        let skipped = 0;
+        for (const item of items || []) {
+            const connection = item && typeof item === 'object' ? normalizeConnection(adapter.mapRow(item)) : null;
+            if (connection) {
+                connections.push(connection);
+            } else {
+                skipped++;
             }
         }
-        
-        if (headerIndex === -1) {
-            reject(new Error('No se pudo encontrar el encabezado del CSV'));
-            return;
+        if (skipped > 0) {
+            this.warn(`⚠️ ${skipped} conexiones sin nombre omitidas`);
         }
+        return connections;
+    }
+    
+    /**
+     * Load and preprocess contacts from LinkedIn or any other supported export
+     * @param {string} filePath - Path to the input file
+     * @param {string} format - Input format name, or 'auto' to detect it
+     * @returns {Promise<Array>} Array of connection objects
+     */
+    async loadConnections(filePath, format = 'auto') {
+        const loaded = await loadInput(filePath, format);
         
-        // Parse from header line onwards
-        const headerLine = lines[headerIndex];
-        const headers = headerLine.split(',').map(h => h.replace(/"/g, '').trim());
+        this.loadReport = {
+            file: filePath,
+            format: loaded.format,
+            headerLine: loaded.headerLine,
+            loaded: loaded.connections.length,
+            skipped: loaded.skipped,
+            malformed: loaded.malformed
+        };
         
-        for (let i = headerIndex + 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            
-            const values = this.parseCSVLine(line);
-            if (values.length >= headers.length - 1) { // Allow for some missing values
-                const row = {};
-                headers.forEach((header, index) => {
-                    row[header] = values[index] || '';
-                });
-                
-                const cleanedRow = this.normalizeConnectionData(row);
-                if (cleanedRow) {
-                    connections.push(cleanedRow);
-                }
-            }
-        }
+        this.info(`✅ Cargadas ${loaded.connections.length} conexiones desde ${filePath} (${loaded.description})`);
+        this.printLoadProblems('Filas omitidas', loaded.skipped);
+        this.printLoadProblems('Filas mal formadas', loaded.malformed);
         
-        console.log(`✅ Cargadas ${connections.length} conexiones desde ${filePath}`);
-        resolve(connections);
+        return loaded.connections;
     }
     
     /**
-     * Parse a CSV line handling quoted values
+     * Print rows that could not be loaded, with their line numbers
+     * @param {string} label - Kind of problem
+     * @param {Array} problems - [{ line, reason }]
      */
-    parseCSVLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
+    printLoadProblems(label, problems) {
+        if (problems.length === 0) return;
         
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        
-        values.push(current.trim()); // Add the last value
-        return values;
+        const shown = problems.slice(0, 10).map(p => `línea ${p.line} (${p.reason})`).join(', ');
+        const more = problems.length > 10 ? ` y ${problems.length - 10} más` : '';
+        this.warn(`⚠️ ${label}: ${problems.length} — ${shown}${more}`);
     }
     
     /**
-     * Normalize connection data to standard format
+     * Open the result store, importing a legacy search_progress.json the first time
+     * @param {boolean} readOnly - Skip the import, which writes to the store
+     * @returns {ResultStore} Loaded store
      */
-    normalizeConnectionData(row) {
-        // Skip invalid rows
-        if (!row || typeof row !== 'object') return null;
-        
-        // Extract name information
-        let fullName = '';
-        let firstName = '';
-        let lastName = '';
+    openStore(readOnly = false) {
+        this.store.load();
         
-        if (row['Full Name']) {
-            fullName = row['Full Name'].trim();
-            const nameParts = fullName.split(' ');
-            firstName = nameParts[0] || '';
-            lastName = nameParts.slice(1).join(' ') || '';
-        } else if (row['First Name'] || row['Last Name']) {
-            firstName = (row['First Name'] || '').trim();
-            lastName = (row['Last Name'] || '').trim();
-            fullName = `${firstName} ${lastName}`.trim();
+        if (!readOnly && this.store.size === 0) {
+            try {
+                const legacy = this.readLegacyProgress();
+                if (legacy) {
+                    if (legacy.startTime) {
+                        this.store.setMeta({ startTime: legacy.startTime });
+                    }
+                    for (const result of legacy.results) {
+                        this.store.append(result);
+                    }
+                    this.info(`📦 Progreso migrado de ${this.legacyProgressFile} a ${this.progressFile} (${this.store.size} resultados)`);
+                }
+            } catch (error) {
+                this.warn(`⚠️ Error migrando ${this.legacyProgressFile}: ${error.message}`);
+            }
         }
         
-        // Skip if no name
-        if (!fullName || fullName.length < 2) return null;
-        
-        // Extract other fields
-        const email = row['Email Address'] || row['Email'] || '';
-        const company = row['Company'] || '';
-        const position = row['Position'] || '';
+        return this.store;
+    }
+    
+    /**
+     * Read a legacy search_progress.json without importing it
+     * @returns {Object|null} { startTime, lastUpdate, results } with keys and statuses filled in, or null if there is none
+     */
+    readLegacyProgress() {
+        if (!this.legacyProgressFile || !fs.existsSync(this.legacyProgressFile)) return null;
         
+        const legacy = JSON.parse(fs.readFileSync(this.legacyProgressFile, 'utf8'));
         return {
-            'Full Name': fullName,
-            'First Name': firstName,
-            'Last Name': lastName,
-            'Email': email,
-            'Company': company,
-            'Position': position,
-            'Connected On': row['Connected On'] || '',
-            'URL': row['URL'] || ''
+            startTime: legacy.startTime || null,
+            lastUpdate: legacy.lastUpdate || null,
+            results: (legacy.results || []).map(result => ({
+                ...result,
+                key: result.key || this.generateConnectionKey(result.name, result.company || ''),
+                status: result.status || this.resultStatus(result)
+            }))
         };
     }
     
     /**
-     * Load previous progress from file
+     * Load previous progress from the result store
+     * @param {boolean} readOnly - Don't write anything: a legacy progress file is read but not imported (see openStore)
      * @returns {Object} Progress object with processed names and results
      */
-    loadProgress() {
+    loadProgress(readOnly = false) {
         try {
-            if (fs.existsSync(this.progressFile)) {
-                const progressData = fs.readFileSync(this.progressFile, 'utf8');
-                const progress = JSON.parse(progressData);
-                return {
-                    processedNames: new Set(progress.processedNames || []),
-                    results: progress.results || [],
-                    startTime: progress.startTime || null,
-                    lastUpdate: progress.lastUpdate || null
-                };
-            }
+            const store = this.openStore(readOnly);
+            const legacy = readOnly && store.size === 0 ? this.readLegacyProgress() : null;
+            const results = legacy ? legacy.results : store.values();
+            return {
+                // Errored lookups stay pending so --resume tries them again
+                processedNames: new Set(results.filter(r => r.status !== 'error').map(r => r.key)),
+                results: results,
+                startTime: legacy ? legacy.startTime : store.meta.startTime || null,
+                lastUpdate: legacy ? legacy.lastUpdate : store.lastUpdate()
+            };
         } catch (error) {
-            console.error('⚠️ Error cargando progreso previo:', error.message);
+            this.warn(`⚠️ Error cargando progreso previo: ${error.message}`);
         }
         
         return {
@@ -245,42 +307,160 @@ class LinkedInEmailFinder {
     }
     
     /**
-     * Save current progress to file
-     * @param {Set} processedNames - Set of processed names
-     * @param {Array} results - Array of results so far
-     * @param {string} startTime - When processing started
+     * Record a finished lookup in the result store (one flushed line per result)
+     * @param {Object} result - Search result with its connection key
      */
-    saveProgress(processedNames, results, startTime) {
+    saveProgress(result) {
         try {
-            const progress = {
-                processedNames: Array.from(processedNames),
-                results: results,
-                startTime: startTime,
-                lastUpdate: new Date().toISOString(),
-                totalProcessed: processedNames.size
-            };
-            
-            fs.writeFileSync(this.progressFile, JSON.stringify(progress, null, 2));
+            this.store.append(result);
         } catch (error) {
-            console.error('⚠️ Error guardando progreso:', error.message);
+            this.warn(`⚠️ Error guardando progreso: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Rewrite the results CSV from the result store
+     * @returns {Promise<number>} Number of results written
+     */
+    async rebuildCsvFromStore() {
+        const results = this.openStore().values();
+        await this.saveResults(results);
+        return results.length;
+    }
+    
+    /**
+     * Write the input contacts back out with found emails filled in
+     * @param {string} inputFile - Contacts file the search ran on
+     * @param {string} format - Input format name, or 'auto'
+     * @param {Object} options - { file, minConfidence, onlyAccepted, includeMissing } (defaults from config.export)
+     * @returns {Promise<Object>} Export stats plus the output file
+     */
+    async exportEnriched(inputFile, format = 'auto', options = {}) {
+        const settings = { ...this.config.export, ...options };
+        settings.file = settings.file || 'enriched_contacts.csv';
+        settings.includeMissing = settings.includeMissing !== false;
+        const loaded = await loadInput(inputFile, format);
+        this.migrateStoreKeys(loaded.connections);
+        
+        const resultsByKey = new Map();
+        for (const result of this.openStore().values()) {
+            resultsByKey.set(result.key, result);
         }
+        
+        const { columns, rows, stats } = buildEnrichedExport(
+            loaded,
+            resultsByKey,
+            connection => this.connectionKey(connection),
+            settings
+        );
+        await writeEnrichedCsv(settings.file, columns, rows);
+        
+        return { ...stats, file: settings.file };
     }
     
     /**
-     * Reset progress (delete progress file)
+     * Export stored results for a CRM or address book, without running any searches
+     * @param {string} profile - Export profile name (hubspot, salesforce, vcard, jsonl)
+     * @param {Object} options - { file, mappingFile, minConfidence, onlyAccepted, includeMissing } (defaults from config.export)
+     * @returns {Promise<Object>} { profile, file, written, skipped }
+     */
+    async exportProfile(profile, options = {}) {
+        const settings = { ...this.config.export, ...options };
+        const exporter = settings.mappingFile ? loadMappingFile(settings.mappingFile) : createExporter(profile);
+        const file = settings.file || exporter.defaultFile;
+        
+        // The input file only adds details the store doesn't keep (URL, phone, split names)
+        const connectionsByKey = new Map();
+        try {
+            const loaded = await loadInput(this.config.input.file, this.config.input.format);
+            this.migrateStoreKeys(loaded.connections);
+            for (const connection of loaded.connections) {
+                connectionsByKey.set(this.connectionKey(connection), connection);
+            }
+        } catch (error) {
+            this.warn(`⚠️ No se pudo leer ${this.config.input.file}, se exporta solo lo guardado en el progreso: ${error.message}`);
+        }
+        
+        const records = [];
+        let skipped = 0;
+        for (const result of this.openStore().values()) {
+            const hasEmail = Boolean(result.email) && meetsConfidence(result.confidence, settings.minConfidence) &&
+                (!settings.onlyAccepted || isAccepted(result));
+            // CRM imports are keyed on email, so contacts without one are left out unless asked for
+            if (!hasEmail && settings.includeMissing !== true) {
+                skipped++;
+                continue;
+            }
+            const record = buildExportRecord(result, connectionsByKey.get(result.key));
+            if (!hasEmail) record.email = '';
+            records.push(record);
+        }
+        
+        await exporter.write(file, records);
+        return { profile: settings.mappingFile || exporter.name, file, written: records.length, skipped };
+    }
+    
+    /**
+     * Stored results waiting for a reviewer, in the order they were found
+     * @param {number} limit - Return at most this many (optional)
+     * @returns {Object} { pending, total } - pending results with excerpts of their search results, and how many there are in all
+     */
+    reviewQueue(limit = null) {
+        const confidences = parseReviewConfidence(this.config.review.confidence);
+        const pending = this.openStore().values()
+            .filter(result => needsReview(result, confidences))
+            .sort((a, b) => String(a.recordedAt).localeCompare(String(b.recordedAt)));
+        
+        return {
+            pending: pending.slice(0, limit || pending.length).map(result => ({ ...result, excerpts: findExcerpts(result) })),
+            total: pending.length
+        };
+    }
+    
+    /**
+     * Record a reviewer's decision on a stored result
+     * @param {string} key - Connection key of the result
+     * @param {string} decision - accepted, edited (with details.email) or rejected
+     * @param {Object} details - { email, reviewer } (reviewer defaults to config.review.reviewer)
+     * @returns {Promise<Object>} Updated result
+     */
+    async recordReview(key, decision, details = {}) {
+        const result = this.openStore().get(key);
+        if (!result) {
+            throw new Error(`No hay resultado guardado para ${key}`);
+        }
+        
+        const changes = buildReviewChanges(result, decision, {
+            ...details,
+            reviewer: details.reviewer || this.config.review.reviewer
+        });
+        if (decision === 'edited' && this.config.validation.enabled) {
+            // The old validation belonged to the model's address
+            const validation = await this.emailValidator.validate(changes.email);
+            changes.emailStatus = validation.status;
+            changes.emailFlags = validation.flags;
+        }
+        return this.store.update(key, changes);
+    }
+    
+    /**
+     * Reset progress (delete the result store and output CSV)
      */
     resetProgress() {
         try {
             if (fs.existsSync(this.progressFile)) {
-                fs.unlinkSync(this.progressFile);
-                console.log('🔄 Progreso previo reseteado');
+                this.store.clear();
+                this.info('🔄 Progreso previo reseteado');
+            }
+            if (this.legacyProgressFile && fs.existsSync(this.legacyProgressFile)) {
+                fs.unlinkSync(this.legacyProgressFile);
             }
             if (fs.existsSync(this.outputFile)) {
                 fs.unlinkSync(this.outputFile);
-                console.log('🔄 Archivo de resultados reseteado');
+                this.info('🔄 Archivo de resultados reseteado');
             }
         } catch (error) {
-            console.error('⚠️ Error reseteando progreso:', error.message);
+            this.warn(`⚠️ Error reseteando progreso: ${error.message}`);
         }
     }
     
@@ -291,31 +471,135 @@ class LinkedInEmailFinder {
      * @returns {Array} Filtered connections
      */
     filterProcessedConnections(connections, processedNames) {
-        return connections.filter(conn => {
-            const fullName = conn['Full Name'];
-            const key = this.generateConnectionKey(fullName, conn['Company']);
-            return !processedNames.has(key);
-        });
+        return connections.filter(conn => !processedNames.has(this.connectionKey(conn)));
     }
     
     /**
-     * Generate unique key for a connection
+     * Generate unique key for a person without a profile URL
      * @param {string} name - Person's name
      * @param {string} company - Company name
-     * @returns {string} Unique key
+     * @returns {string} Unique key (normalized "name|company")
      */
     generateConnectionKey(name, company = '') {
-        return `${name}|${company}`.toLowerCase().trim();
+        return buildConnectionKey({ name, company });
     }
     
     /**
-     * Search for email address using web search + AI analysis (like original Python script)
+     * Stable key for a connection: its profile URL when known, otherwise name and company
+     * @param {Object} connection - Normalized connection
+     * @returns {string} Unique key
+     */
+    connectionKey(connection) {
+        return buildConnectionKey({
+            name: connection['Full Name'],
+            company: connection['Company'],
+            url: connection['URL']
+        });
+    }
+    
+    /**
+     * Move results saved under older key formats (raw "name|company", or
+     * name-based before a profile URL was known) to the current keys, so
+     * resumed runs and exports still find them
+     * @param {Array} connections - All loaded connections
+     * @returns {number} Number of results moved
+     */
+    migrateStoreKeys(connections) {
+        const store = this.openStore();
+        if (store.size === 0) return 0;
+        
+        let moved = 0;
+        for (const connection of connections) {
+            const key = this.connectionKey(connection);
+            const oldKey = this.storedKey(connection, store);
+            if (oldKey !== key && store.rekey(oldKey, key)) moved++;
+        }
+        if (moved > 0) {
+            this.info(`🔑 ${moved} resultados guardados pasaron al nuevo formato de clave`);
+        }
+        return moved;
+    }
+    
+    /**
+     * Key a connection's result is saved under: the current key, or an older
+     * format that migrateStoreKeys hasn't moved yet
+     * @param {Object} connection - Connection
+     * @param {Set|ResultStore} keys - Saved keys (anything with has())
+     * @returns {string} Saved key, or the current key when nothing is saved
+     */
+    storedKey(connection, keys) {
+        const key = this.connectionKey(connection);
+        if (keys.has(key)) return key;
+        const candidates = [
+            this.generateConnectionKey(connection['Full Name'], connection['Company']),
+            legacyConnectionKey(connection['Full Name'], connection['Company'])
+        ];
+        return candidates.find(candidate => keys.has(candidate)) || key;
+    }
+    
+    /**
+     * Learn per-company domains and address formats from connections with a known email
+     * @param {Array} connections - All loaded connections
+     * @returns {EmailPatternModel} Trained pattern model
+     */
+    learnEmailPatterns(connections) {
+        this.emailPatterns = EmailPatternModel.fromConnections(connections, this.config.patterns);
+        this.domainResolver.useEmailPatterns(this.emailPatterns);
+        if (this.emailPatterns.companies.size > 0) {
+            this.info(`🧩 Patrones de email aprendidos para ${this.emailPatterns.companies.size} empresas`);
+        }
+        return this.emailPatterns;
+    }
+    
+    /**
+     * Build a result from a pattern candidate without searching or calling the LLM
+     * @param {string} name - Person's name
+     * @param {string} company - Company name
+     * @param {string} position - Position/title
+     * @param {Object} candidate - Candidate from EmailPatternModel.generateCandidate
+     * @param {Object} resolved - Resolved company domain: { domain, method }
+     * @returns {Object} Search result object
+     */
+    buildPatternResult(name, company, position, candidate, resolved) {
+        const reasoning = `Pattern ${candidate.pattern}@${candidate.domain} used by ${candidate.matches} of ${candidate.samples} known contacts at ${company}`;
+        return {
+            name: name,
+            company: company,
+            position: position,
+            query: '',
+            response: reasoning,
+            source: `pattern:${candidate.pattern}@${candidate.domain}`,
+            sources: [],
+            email: candidate.email,
+            confidence: candidate.confidence,
+            reasoning: reasoning,
+            // Its confidence already reflects how many known contacts follow the pattern
+            evidence: 'pattern_guess',
+            evidenceChecks: null,
+            parseStatus: '',
+            parseErrors: [],
+            method: 'pattern',
+            patternCandidate: candidate.email,
+            resolvedDomain: resolved.domain,
+            domainSource: resolved.method,
+            searchResults: '',
+            searchProvider: '',
+            webResults: [],
+            model: '',
+            tokens: 0,
+            cost: 0,
+            llmCalls: []
+        };
+    }
+    
+    /**
+     * The lookup question put to the model (also stored as the result's query)
      * @param {string} name - Person's name
      * @param {string} company - Company name (optional)
      * @param {string} position - Position/title (optional)
-     * @returns {Promise<Object>} Search result object
+     * @returns {string} e.g. "Find business email for Jane Doe who works at Acme as CTO"
      */
-    async searchEmail(name, company = null, position = null) {
+    buildLookupQuery(name, company, position) {
         let query = `Find business email for ${name}`;
         if (company) {
             query += ` who works at ${company}`;
@@ -323,154 +607,297 @@ class LinkedInEmailFinder {
         if (position) {
             query += ` as ${position}`;
         }
-        
-        try {
-            
-            // Step 1: Perform web search (like DuckDuckGo in original script)
-            const searchResults = await this.performWebSearch(name, company, position);
-            
-            // Step 2: Use AI to analyze search results and extract email
-            const prompt = `
+        return query;
+    }
+    
+    /**
+     * Build the chat messages that ask the model to extract the email from the search results
+     * @param {string} name - Person's name
+     * @param {string} company - Company name (optional)
+     * @param {string} position - Position/title (optional)
+     * @param {string} searchResults - Formatted web search results (or the fallback context)
+     * @param {Object} resolved - Resolved company domain: { domain, method }
+     * @param {Object|null} candidate - Pattern-based candidate from EmailPatternModel
+     * @returns {Array<Object>} Chat messages
+     */
+    buildAnalysisMessages(name, company, position, searchResults, resolved, candidate) {
+        const query = this.buildLookupQuery(name, company, position);
+        // The prompt text is part of the response cache key, so whitespace changes invalidate cached answers
+        const prompt = `
                 You are an expert email researcher who analyzes web search results to find business email addresses.
                 
                 Search Query: ${query}
                 
                 Web Search Results:
                 ${searchResults}
-                
+                ${resolved.domain ? `
+                Company email domain: ${resolved.domain} (resolved from ${resolved.method})
+                ` : ''}${candidate ? `
+                Known email pattern at ${company} (from ${candidate.samples} contacts with a known email):
+                ${candidate.pattern}@${candidate.domain}, followed by ${candidate.matches} of ${candidate.samples}. Pattern-based candidate: ${candidate.email}
+                Prefer an address found in the search results; use the candidate only if the results support it or contain nothing better.
+                ` : ''}
                 Instructions:
                 - Search for professional email addresses from publicly available sources
                 - Focus on company websites and professional directories  
                 - Always include sources in responses
                 - Respect privacy and only return publicly available business email addresses
                 - Extract email addresses from the search results provided
-                - Return your response in this exact format:
-                
-                EMAIL: [email address if found, or "NOT_FOUND"]
-                SOURCE: [specific URL or source from search results]
-                CONFIDENCE: [HIGH/MEDIUM/LOW]
-                REASONING: [brief explanation of how you found the email]
+                - ${buildFormatInstructions(Boolean(buildResponseFormat(this.llm.jsonMode)))}
                 
                 Analyze the search results above for: ${name}${company ? ` at ${company}` : ''}${position ? ` (${position})` : ''}
             `;
+        
+        return [
+            {
+                role: "system",
+                content: "You are a professional email researcher who finds business emails from web search results. Always be thorough and include sources."
+            },
+            {
+                role: "user",
+                content: prompt
+            }
+        ];
+    }
+    
+    /**
+     * Search for email address using web search + AI analysis (like original Python script)
+     * @param {string} name - Person's name
+     * @param {string} company - Company name (optional)
+     * @param {string} position - Position/title (optional)
+     * @returns {Promise<Object>} Search result object
+     */
+    async searchEmail(name, company = null, position = null) {
+        const query = this.buildLookupQuery(name, company, position);
+        
+        // Step 0: Resolve the company domain and check what known emails at the same company suggest
+        const resolved = company ? await this.domainResolver.resolve(company) : { domain: '', method: 'none' };
+        let candidate = null;
+        if (this.config.patterns.enabled && company) {
+            const { firstName, lastName } = splitFullName(name);
+            candidate = this.emailPatterns.generateCandidate(firstName, lastName, company);
+            if (this.emailPatterns.isStrong(candidate)) {
+                return await this.validateResult(this.buildPatternResult(name, company, position, candidate, resolved));
+            }
+        }
+        
+        try {
             
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-3.5-turbo",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a professional email researcher who finds business emails from web search results. Always be thorough and include sources."
-                    },
-                    {
-                        role: "user",
-                        content: prompt
-                    }
-                ],
-                max_tokens: 800,
-                temperature: 0.3
-            });
+            // Step 1: Perform web search with the configured provider
+            const search = await this.performWebSearch(name, company, position, resolved.domain);
+            const searchResults = search.text;
             
-            const responseText = response.choices[0].message.content;
+            // Step 2: Use AI to analyze search results and extract email
+            const analysis = await this.analyzeWithModel(
+                this.buildAnalysisMessages(name, company, position, searchResults, resolved, candidate)
+            );
             
-            return {
+            const llmCalls = analysis.completions.map(completion => this.costs.callUsage(
+                completion,
+                this.llm.isLocal(completion.usedFallback ? this.llm.fallbackBaseUrl : this.llm.baseUrl)
+            ));
+            
+            const result = this.checkEvidence({
                 name: name,
                 company: company,
                 position: position,
                 query: query,
-                response: responseText,
-                source: this.extractSource(responseText),
-                email: this.extractEmail(responseText),
-                confidence: this.extractConfidence(responseText),
-                searchResults: searchResults.substring(0, 500) + '...' // Include partial search results
-            };
+                response: analysis.text,
+                source: analysis.sources.join(' | '),
+                sources: analysis.sources,
+                email: analysis.email,
+                confidence: analysis.confidence,
+                reasoning: analysis.reasoning,
+                parseStatus: analysis.parseStatus,
+                parseErrors: analysis.parseErrors,
+                method: 'llm',
+                patternCandidate: candidate ? candidate.email : '',
+                resolvedDomain: resolved.domain,
+                domainSource: resolved.method,
+                searchResults: searchResults.substring(0, 500) + '...', // Include partial search results
+                searchProvider: search.provider,
+                webResults: search.results,
+                model: analysis.model,
+                // Cached completions cost nothing this time
+                tokens: llmCalls.reduce((sum, call) => sum + (call.cached ? 0 : call.totalTokens), 0),
+                cost: Math.round(llmCalls.reduce((sum, call) => sum + call.cost, 0) * 1e6) / 1e6,
+                llmCalls
+            }, search.results);
+            return await this.validateResult(result);
             
         } catch (error) {
-            console.error(`❌ Error buscando email para ${name}:`, error.message);
+            // Errors are kept apart from genuine misses so they can be retried later
+            const classification = error.classification || classifyError(error);
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', {
+                    name,
+                    company,
+                    code: classification.code,
+                    retryable: classification.retryable,
+                    message: error.message,
+                    error
+                });
+            }
             return {
+                status: 'error',
+                errorCode: classification.code,
+                retryable: classification.retryable,
+                attempts: error.attempts || 1,
                 name: name,
                 company: company,
                 position: position,
                 query: query,
                 response: error.message,
                 source: '',
+                sources: [],
                 email: '',
                 confidence: 'LOW',
-                searchResults: ''
+                reasoning: '',
+                evidence: '',
+                evidenceChecks: null,
+                parseStatus: '',
+                parseErrors: [],
+                method: 'llm',
+                patternCandidate: candidate ? candidate.email : '',
+                resolvedDomain: resolved.domain,
+                domainSource: resolved.method,
+                emailStatus: '',
+                emailFlags: [],
+                searchResults: '',
+                searchProvider: '',
+                webResults: [],
+                model: '',
+                tokens: 0,
+                cost: 0,
+                llmCalls: []
             };
         }
     }
     
     /**
-     * Perform web search using DuckDuckGo (similar to original Python script)
+     * Lookup outcome for a result that completed without errors
+     * @param {Object} result - Search result object
+     * @returns {string} 'found' or 'not_found'
+     */
+    resultStatus(result) {
+        return result.email ? 'found' : 'not_found';
+    }
+    
+    /**
+     * Tag a model-extracted email with the search evidence behind it and cap the confidence of guesses
+     * @param {Object} result - Search result object
+     * @param {Array<Object>} webResults - Results the model was shown (empty when the search fell back to guessing)
+     * @returns {Object} The same result with evidence/evidenceChecks set
+     */
+    checkEvidence(result, webResults) {
+        result.evidence = '';
+        result.evidenceChecks = null;
+        if (!this.config.evidence.enabled || !result.email) {
+            return result;
+        }
+        
+        const verified = this.evidenceVerifier.verify(result, { results: webResults, domain: result.resolvedDomain });
+        result.evidence = verified.evidence;
+        result.evidenceChecks = verified.checks;
+        if (verified.confidence !== result.confidence) {
+            result.originalConfidence = result.confidence;
+            result.confidence = verified.confidence;
+        }
+        return result;
+    }
+    
+    /**
+     * Run the validation stage on a result's email and downgrade its confidence accordingly
+     * @param {Object} result - Search result object
+     * @returns {Promise<Object>} The same result with emailStatus/emailFlags set
+     */
+    async validateResult(result) {
+        result.status = this.resultStatus(result);
+        result.errorCode = '';
+        result.emailStatus = '';
+        result.emailFlags = [];
+        if (!this.config.validation.enabled || !result.email) {
+            return result;
+        }
+        
+        const validation = await this.emailValidator.validate(result.email);
+        result.emailStatus = validation.status;
+        result.emailFlags = validation.flags;
+        
+        const adjusted = this.emailValidator.adjustConfidence(result.confidence, validation.status);
+        if (adjusted !== result.confidence) {
+            // Keep the model's own level if the evidence check already lowered it
+            result.originalConfidence = result.originalConfidence || result.confidence;
+            result.confidence = adjusted;
+        }
+        return result;
+    }
+    
+    /**
+     * Build the web search query for a connection
      * @param {string} name - Person's name
      * @param {string} company - Company name (optional)
      * @param {string} position - Position/title (optional)
-     * @returns {Promise<string>} Search results text
+     * @returns {string} Search query
      */
-    async performWebSearch(name, company, position) {
+    buildSearchQuery(name, company, position) {
+        let searchQuery = `"${name}" email`;
+        if (company) {
+            searchQuery += ` "${company}"`;
+        }
+        if (position) {
+            searchQuery += ` "${position}"`;
+        }
+        return searchQuery;
+    }
+    
+    /**
+     * Perform web search using the configured search provider
+     * @param {string} name - Person's name
+     * @param {string} company - Company name (optional)
+     * @param {string} position - Position/title (optional)
+     * @param {string} domain - Resolved company domain (optional)
+     * @returns {Promise<Object>} Search outcome: { provider, query, results, text, fallback, cached }
+     */
+    async performWebSearch(name, company, position, domain = '') {
+        const searchQuery = this.buildSearchQuery(name, company, position);
+        const outcome = {
+            provider: this.searchProvider.name,
+            query: searchQuery,
+            results: [],
+            text: '',
+            fallback: false,
+            cached: false
+        };
+        
         try {
-            // Build search query similar to original script
-            let searchQuery = `"${name}" email`;
-            if (company) {
-                searchQuery += ` "${company}"`;
-            }
-            if (position) {
-                searchQuery += ` "${position}"`;
-            }
-            
-            // Use DuckDuckGo instant answer API (no-tracking, similar to phi's DuckDuckGo tool)
-            const searchUrl = 'https://api.duckduckgo.com/';
-            const params = {
-                q: searchQuery,
-                format: 'json',
-                no_html: '1',
-                skip_disambig: '1',
-                safesearch: 'moderate'
-            };
-            
-            const response = await axios.get(searchUrl, { 
-                params,
-                timeout: 10000,
-                headers: {
-                    'User-Agent': 'LinkedInEmailFinder/1.0'
-                }
-            });
-            
-            let results = '';
-            
-            // Extract relevant information from DuckDuckGo response
-            if (response.data.Abstract) {
-                results += `Abstract: ${response.data.Abstract}\n`;
-            }
-            
-            if (response.data.RelatedTopics && response.data.RelatedTopics.length > 0) {
-                results += '\nRelated Information:\n';
-                response.data.RelatedTopics.slice(0, 5).forEach((topic, index) => {
-                    if (topic.Text) {
-                        results += `${index + 1}. ${topic.Text}\n`;
-                        if (topic.FirstURL) {
-                            results += `   Source: ${topic.FirstURL}\n`;
-                        }
-                    }
-                });
-            }
-            
-            if (response.data.Answer) {
-                results += `\nDirect Answer: ${response.data.Answer}\n`;
-            }
-            
-            // If no substantial results, try alternative search approach
-            if (results.trim().length < 50) {
-                return await this.alternativeWebSearch(name, company, position);
-            }
-            
-            return results || 'No specific web search results found.';
-            
+            const { value, cached } = await this.cache.remember(
+                'search',
+                { provider: this.searchProvider.name, query: normalizeQuery(searchQuery) },
+                () => withRetry(async () => {
+                    await this.searchLimiter.acquire();
+                    return this.searchProvider.search(searchQuery);
+                }, this.config.retry),
+                { query: searchQuery },
+                // An empty page is often transient (e.g. SearXNG with rate-limited engines):
+                // searched again next time rather than replayed as "no results" for the whole TTL
+                results => results.length > 0
+            );
+            outcome.results = value;
+            outcome.cached = cached;
         } catch (error) {
-            console.error(`⚠️ Web search error for ${name}:`, error.message);
-            // Fallback to alternative search
-            return await this.alternativeWebSearch(name, company, position);
+            this.warn(`⚠️ Web search error for ${name} (${this.searchProvider.name}): ${error.message}`);
+        }
+        
+        // If no results, fall back to pattern-based context
+        if (outcome.results.length === 0) {
+            outcome.fallback = true;
+            outcome.text = await this.alternativeWebSearch(name, company, position, domain);
+            return outcome;
         }
+        
+        outcome.text = formatSearchResults(outcome.results);
+        return outcome;
     }
     
     /**
@@ -478,14 +905,17 @@ class LinkedInEmailFinder {
      * @param {string} name - Person's name
      * @param {string} company - Company name (optional)
      * @param {string} position - Position/title (optional)
+     * @param {string} domain - Resolved company domain (optional)
      * @returns {Promise<string>} Simulated search context
      */
-    async alternativeWebSearch(name, company, position) {
+    async alternativeWebSearch(name, company, position, domain = '') {
         // Provide context for AI analysis when web search fails
         let context = `Search context for: ${name}`;
         if (company) {
             context += `\nCompany: ${company}`;
-            context += `\nPossible email patterns for ${company}: firstname.lastname@${company.toLowerCase().replace(/\s/g, '')}.com, firstname@${company.toLowerCase().replace(/\s/g, '')}.com`;
+            if (domain) {
+                context += `\nPossible email patterns for ${company}: firstname.lastname@${domain}, firstname@${domain}`;
+            }
         }
         if (position) {
             context += `\nPosition: ${position}`;
@@ -497,62 +927,150 @@ class LinkedInEmailFinder {
     }
     
     /**
-     * Extract source URLs from the AI response
-     * @param {string} response - AI response text
-     * @returns {string} Extracted source
+     * Call the LLM backend within the LLM rate limits, retrying retryable errors
+     * (429, timeouts, network, 5xx) with exponential backoff. Identical
+     * requests are served from the response cache.
+     * @param {Array} messages - Chat messages
+     * @param {Object} options - Extra request parameters
+     * @returns {Promise<Object>} Completion from LLMBackend.complete, with `cached` set
      */
-    extractSource(response) {
-        const sourceMatch = response.match(/SOURCE:\s*([^\n\r]+)/i);
-        return sourceMatch ? sourceMatch[1].trim() : '';
+    async callLLM(messages, options = {}) {
+        // Rough estimate (~4 characters per token) plus the response budget; corrected after the call
+        const estimatedTokens = Math.ceil(JSON.stringify(messages).length / 4) + this.llm.maxTokens;
+        
+        const { value, cached } = await this.cache.remember(
+            'llm',
+            this.llm.requestSignature(messages, options),
+            () => withRetry(async () => {
+                await this.llmLimiter.acquire(estimatedTokens);
+                const completion = await this.llm.complete(messages, options);
+                if (completion.usage && completion.usage.total_tokens) {
+                    this.llmLimiter.settle(estimatedTokens, completion.usage.total_tokens);
+                }
+                return completion;
+            }, this.config.retry),
+            { model: this.llm.model }
+        );
+        return { ...value, cached };
     }
     
     /**
-     * Extract email address from the response
-     * @param {string} response - AI response text
-     * @returns {string} Extracted email
+     * Send the analysis prompt and parse the model output.
+     * In JSON mode the response is validated against the analysis schema and
+     * the model is re-prompted once when it is invalid; the legacy text format
+     * is used as a last resort and for backends without JSON mode.
+     * @param {Array} messages - Chat messages
+     * @returns {Promise<Object>} { email, sources, confidence, reasoning, text, model, parseStatus, parseErrors, completions }
      */
-    extractEmail(response) {
-        const emailMatch = response.match(/EMAIL:\s*([^\n\r]+)/i);
-        if (emailMatch) {
-            const emailText = emailMatch[1].trim();
-            if (emailText === 'NOT_FOUND') {
-                return '';
+    async analyzeWithModel(messages) {
+        const responseFormat = buildResponseFormat(this.llm.jsonMode);
+        
+        if (!responseFormat) {
+            const completion = await this.callLLM(messages);
+            const parsed = parseTextResponse(completion.text);
+            return {
+                ...parsed,
+                text: completion.text,
+                model: completion.model,
+                parseStatus: parsed.matched ? PARSE_STATUS.TEXT : PARSE_STATUS.INVALID,
+                parseErrors: parsed.matched ? [] : ['No se encontró la línea EMAIL:'],
+                completions: [completion]
+            };
+        }
+        
+        const completions = [];
+        let parseErrors = [];
+        let currentMessages = messages;
+        
+        // First attempt plus one re-prompt when the response doesn't match the schema
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const completion = await this.callLLM(currentMessages, { response_format: responseFormat });
+            completions.push(completion);
+            
+            const { data, error } = parseJSONResponse(completion.text);
+            parseErrors = error ? [error] : validateAnalysis(data);
+            
+            if (parseErrors.length === 0) {
+                return {
+                    ...normalizeAnalysis(data),
+                    text: completion.text,
+                    model: completion.model,
+                    parseStatus: attempt === 0 ? PARSE_STATUS.JSON : PARSE_STATUS.JSON_RETRY,
+                    parseErrors: [],
+                    completions
+                };
             }
             
-            // Additional regex to extract actual email format
-            const emailRegex = /[\w\.-]+@[\w\.-]+\.\w+/;
-            const regexMatch = emailText.match(emailRegex);
-            return regexMatch ? regexMatch[0] : emailText;
+            currentMessages = [
+                ...messages,
+                { role: 'assistant', content: completion.text },
+                {
+                    role: 'user',
+                    content: `Your previous response was invalid: ${parseErrors.join('; ')}. Reply again with ONLY the JSON object with the fields email, sources, confidence and reasoning.`
+                }
+            ];
         }
-        return '';
-    }
-    
-    /**
-     * Extract confidence level from the response
-     * @param {string} response - AI response text
-     * @returns {string} Confidence level
-     */
-    extractConfidence(response) {
-        const confidenceMatch = response.match(/CONFIDENCE:\s*([^\n\r]+)/i);
-        return confidenceMatch ? confidenceMatch[1].trim() : 'LOW';
+        
+        // Fall back to the legacy text format on the latest response, then the first
+        const last = completions[completions.length - 1];
+        for (const completion of [last, completions[0]]) {
+            const parsed = parseTextResponse(completion.text);
+            if (parsed.matched) {
+                return {
+                    ...parsed,
+                    text: completion.text,
+                    model: completion.model,
+                    parseStatus: PARSE_STATUS.TEXT_FALLBACK,
+                    parseErrors,
+                    completions
+                };
+            }
+        }
+        
+        return {
+            email: '',
+            sources: [],
+            confidence: 'LOW',
+            reasoning: '',
+            text: last.text,
+            model: last.model,
+            parseStatus: PARSE_STATUS.INVALID,
+            parseErrors,
+            completions
+        };
     }
     
     /**
-     * Process connections in batches to find missing emails
+     * Decide which connections a run looks up: those without an email that
+     * aren't processed yet (or ended in an error, when retrying), passing the
+     * targeting filters, in priority order and cut to the sample size
      * @param {Array} connections - Array of connection objects
      * @param {number|null} sampleSize - Limit processing to first N records (null = process all)
      * @param {boolean} resume - Whether to resume from previous progress
-     * @returns {Promise<Array>} Array of search results
+     * @param {boolean} retryFailed - Reprocess only the connections whose last lookup ended in an error
+     * @param {boolean} readOnly - Leave the progress file untouched (no key migration), for --dry-run
+     * @returns {Object} { pending, progress, totalMissing, resume }
      */
-    async processConnections(connections, sampleSize = null, resume = false) {
+    planLookups(connections, sampleSize = null, resume = false, retryFailed = false, readOnly = false) {
+        // Learn company email patterns and domains from connections that already have one
+        this.learnEmailPatterns(connections);
+        
+        // Retrying failed rows always builds on the saved progress
+        if (retryFailed) {
+            resume = true;
+        }
+        
         // Load previous progress if resuming
         let progress = { processedNames: new Set(), results: [], startTime: null, lastUpdate: null };
         if (resume) {
-            progress = this.loadProgress();
+            if (!readOnly) {
+                this.migrateStoreKeys(connections);
+            }
+            progress = this.loadProgress(readOnly);
             if (progress.processedNames.size > 0) {
-                console.log(`\n🔄 Reanudando desde progreso anterior (${progress.processedNames.size} ya procesadas)`);
+                this.info(`\n🔄 Reanudando desde progreso anterior (${progress.processedNames.size} ya procesadas)`);
                 if (progress.lastUpdate) {
-                    console.log(`   Última actualización: ${new Date(progress.lastUpdate).toLocaleString()}`);
+                    this.info(`   Última actualización: ${new Date(progress.lastUpdate).toLocaleString()}`);
                 }
             }
         }
@@ -563,13 +1081,31 @@ class LinkedInEmailFinder {
             return !email || email.trim() === '' || email === 'N/A';
         });
         
-        // Filter out already processed connections if resuming
-        if (resume && progress.processedNames.size > 0) {
+        // Errored lookups are never marked as processed, so --resume picks them up again
+        const failedKeys = new Set(progress.results.filter(r => r.status === 'error' && r.key).map(r => r.key));
+        
+        if (retryFailed) {
+            missingEmails = missingEmails.filter(conn => failedKeys.has(this.connectionKey(conn)));
+            this.info(`\n🔁 Reintentando ${missingEmails.length} búsquedas que terminaron con error`);
+        } else if (resume && progress.processedNames.size > 0) {
+            // Filter out already processed connections if resuming
             const beforeFilter = missingEmails.length;
             missingEmails = this.filterProcessedConnections(missingEmails, progress.processedNames);
             const skipped = beforeFilter - missingEmails.length;
             if (skipped > 0) {
-                console.log(`   ⏭️ Saltando ${skipped} conexiones ya procesadas`);
+                this.info(`   ⏭️ Saltando ${skipped} conexiones ya procesadas`);
+            }
+        }
+        
+        // Targeting filters and priority run before -n so the sample is the most relevant contacts
+        if (this.targeting.active) {
+            const beforeTargeting = missingEmails.length;
+            const { selected, rejected } = this.targeting.apply(missingEmails);
+            missingEmails = selected;
+            this.info(`   🎯 ${this.targeting.describe()}`);
+            if (this.targeting.hasFilters) {
+                const reasons = Object.entries(rejected).map(([reason, count]) => `${REJECT_REASONS[reason] || reason}: ${count}`).join(', ');
+                this.info(`   🎯 ${missingEmails.length} de ${beforeTargeting} conexiones pasan los filtros${reasons ? ` (descartadas por ${reasons})` : ''}`);
             }
         }
         
@@ -578,31 +1114,137 @@ class LinkedInEmailFinder {
             missingEmails = missingEmails.slice(0, sampleSize);
         }
         
-        const total = missingEmails.length;
         const totalMissing = connections.filter(conn => {
             const email = conn.Email || conn['Email Address'] || '';
             return !email || email.trim() === '' || email === 'N/A';
         }).length;
         
+        return { pending: missingEmails, progress, totalMissing, resume };
+    }
+    
+    /**
+     * Dry run: work out what a run would send for each pending connection and
+     * estimate its tokens and cost, without any network request and without
+     * touching the progress or results files. Search responses and model
+     * answers already in the response cache are used (and cost nothing).
+     * @param {Array} connections - Array of connection objects
+     * @param {number|null} sampleSize - Limit processing to first N records (null = process all)
+     * @param {boolean} resume - Whether to resume from previous progress
+     * @param {boolean} retryFailed - Preview only the connections whose last lookup ended in an error
+     * @returns {Promise<Object>} { entries, totals, totalMissing, file }
+     */
+    async previewConnections(connections, sampleSize = null, resume = false, retryFailed = false) {
+        const file = this.config.dryRun.file;
+        if ([this.progressFile, this.outputFile].map(f => path.resolve(f)).includes(path.resolve(file))) {
+            throw new Error(`El archivo de la simulación (${file}) no puede ser el de progreso ni el de resultados`);
+        }
+        
+        const { pending, totalMissing } = this.planLookups(connections, sampleSize, resume, retryFailed, true);
+        const responseFormat = buildResponseFormat(this.llm.jsonMode);
+        const price = this.llm.isLocal() ? { input: 0, output: 0 } : this.costs.priceFor(this.llm.model);
+        const completionTokens = Math.min(DRY_RUN_COMPLETION_TOKENS, this.llm.maxTokens);
+        
+        const entries = [];
+        const totals = { lookups: pending.length, pattern: 0, searches: 0, searchesCached: 0, llmCalls: 0, llmCached: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+        
+        for (const connection of pending) {
+            const name = connection['Full Name'] || `${connection['First Name']} ${connection['Last Name']}`;
+            const company = connection['Company'];
+            const position = connection['Position'];
+            const entry = { key: this.connectionKey(connection), name, company, position, method: 'llm' };
+            
+            // Same steps as searchEmail, minus the requests
+            const resolved = company ? await this.domainResolver.resolve(company) : { domain: '', method: 'none' };
+            entry.resolvedDomain = resolved.domain;
+            let candidate = null;
+            if (this.config.patterns.enabled && company) {
+                const { firstName, lastName } = splitFullName(name);
+                candidate = this.emailPatterns.generateCandidate(firstName, lastName, company);
+                if (this.emailPatterns.isStrong(candidate)) {
+                    entry.method = 'pattern';
+                    entry.patternCandidate = candidate.email;
+                    totals.pattern++;
+                    entries.push(entry);
+                    continue;
+                }
+            }
+            
+            entry.searchQuery = this.buildSearchQuery(name, company, position);
+            const cachedSearch = this.cache.get('search', { provider: this.searchProvider.name, query: normalizeQuery(entry.searchQuery) });
+            entry.searchCached = Boolean(cachedSearch);
+            totals.searches++;
+            
+            let searchResults;
+            let extraTokens = 0;
+            if (cachedSearch) {
+                totals.searchesCached++;
+                searchResults = cachedSearch.value.length > 0
+                    ? formatSearchResults(cachedSearch.value)
+                    : await this.alternativeWebSearch(name, company, position, resolved.domain);
+            } else {
+                searchResults = `[resultados de ${this.searchProvider.name}: hasta ${this.config.search.maxResults}]`;
+                extraTokens = this.config.search.maxResults * DRY_RUN_TOKENS_PER_SEARCH_RESULT;
+            }
+            
+            entry.messages = this.buildAnalysisMessages(name, company, position, searchResults, resolved, candidate);
+            const options = responseFormat ? { response_format: responseFormat } : {};
+            entry.llmCached = Boolean(cachedSearch && this.cache.get('llm', this.llm.requestSignature(entry.messages, options)));
+            totals.llmCalls++;
+            
+            // Same ~4 characters per token estimate callLLM uses for rate limiting
+            entry.estimatedPromptTokens = entry.llmCached ? 0 : Math.ceil(JSON.stringify(entry.messages).length / 4) + extraTokens;
+            entry.estimatedCompletionTokens = entry.llmCached ? 0 : completionTokens;
+            entry.estimatedCost = (entry.estimatedPromptTokens / 1000) * price.input + (entry.estimatedCompletionTokens / 1000) * price.output;
+            if (entry.llmCached) totals.llmCached++;
+            totals.promptTokens += entry.estimatedPromptTokens;
+            totals.completionTokens += entry.estimatedCompletionTokens;
+            totals.cost += entry.estimatedCost;
+            entries.push(entry);
+        }
+        
+        fs.writeFileSync(file, entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : ''));
+        return { entries, totals, totalMissing, file };
+    }
+    
+    /**
+     * Process connections with a pool of concurrent workers to find missing emails
+     * @param {Array} connections - Array of connection objects
+     * @param {number|null} sampleSize - Limit processing to first N records (null = process all)
+     * @param {boolean} resume - Whether to resume from previous progress
+     * @param {boolean} retryFailed - Reprocess only the connections whose last lookup ended in an error
+     * @returns {Promise<Array>} Array of search results
+     */
+    async processConnections(connections, sampleSize = null, resume = false, retryFailed = false) {
+        // A stop() only ends the run it was meant for
+        this.stopRequested = false;
+        const plan = this.planLookups(connections, sampleSize, resume, retryFailed);
+        const { progress, totalMissing } = plan;
+        const missingEmails = plan.pending;
+        const total = missingEmails.length;
+        resume = plan.resume;
+        
         if (sampleSize && sampleSize > 0) {
-            console.log(`\n🔍 Procesando ${total} de ${totalMissing} conexiones sin email (muestra de ${sampleSize})...`);
+            this.info(`\n🔍 Procesando ${total} de ${totalMissing} conexiones sin email (muestra de ${sampleSize})...`);
         } else {
-            console.log(`\n🔍 Procesando ${total} conexiones sin email...`);
+            this.info(`\n🔍 Procesando ${total} conexiones sin email...`);
         }
         
         if (resume && progress.processedNames.size > 0) {
-            console.log(`   📊 Total ya procesadas anteriormente: ${progress.processedNames.size}`);
+            this.info(`   📊 Total ya procesadas anteriormente: ${progress.processedNames.size}`);
         }
         
         if (total === 0) {
-            if (resume && progress.processedNames.size > 0) {
-                console.log('✅ No hay conexiones nuevas para procesar - reanudación completa');
-                return progress.results;
+            if (retryFailed) {
+                this.info('✅ No hay búsquedas con error para reintentar');
+            } else if (resume && progress.processedNames.size > 0) {
+                this.info('✅ No hay conexiones nuevas para procesar - reanudación completa');
             } else if (sampleSize && sampleSize > 0) {
-                console.log('✅ No hay conexiones para procesar en la muestra especificada');
+                this.info('✅ No hay conexiones para procesar en la muestra especificada');
             } else {
-                console.log('✅ Todas las conexiones ya tienen email');
+                this.info('✅ Todas las conexiones ya tienen email');
             }
+            this.emit('start', { total, totalMissing, previous: progress.processedNames.size, resume, workers: 0 });
+            this.emit('done', { results: progress.results, newResults: 0, completed: 0, total, budgetStop: null, delivery: null });
             return progress.results;
         }
         
@@ -611,39 +1253,64 @@ class LinkedInEmailFinder {
         const currentSession = [];
         const startTime = progress.startTime || new Date().toISOString();
         
+        // A fresh run starts a new store; resumed runs keep appending to the existing one
+        if (!resume) {
+            this.store.clear();
+        }
+        if (!progress.startTime) {
+            this.store.setMeta({ startTime });
+        }
+        
         // Check if we need to write CSV headers (first time or file doesn't exist)
         const csvExists = this.csvFileExists();
         const isFirstSession = !resume || !csvExists;
         let isFirstResult = isFirstSession;
         
         if (isFirstSession && total > 0) {
-            console.log('📝 Iniciando archivo CSV con headers...');
+            this.info('📝 Iniciando archivo CSV con headers...');
         } else if (resume && csvExists) {
-            console.log('📝 Continuando en archivo CSV existente...');
+            this.info('📝 Continuando en archivo CSV existente...');
         }
         
-        // Initialize progress bar
-        this.progressBar.start(total, 0, {
-            status: 'Iniciando búsqueda...'
-        });
+        if (this.delivery.enabled) {
+            // Surface a broken template now rather than on the first result
+            this.delivery.loadTemplate();
+            this.info(`📡 Enviando resultados a ${this.delivery.url} (${this.delivery.mode}, lotes de ${this.delivery.batchSize})`);
+        }
         
-        // Process in batches
-        for (let i = 0; i < total; i += this.batchSize) {
-            const batch = missingEmails.slice(i, i + this.batchSize);
+        const workerCount = Math.min(this.concurrency, total);
+        this.emit('start', { total, totalMissing, previous: progress.processedNames.size, resume, workers: workerCount });
+        
+        // Results are written one at a time, in completion order, so the CSV and
+        // progress file never see interleaved writes from concurrent workers
+        const writeQueue = new SerialQueue();
+        let completed = 0;
+        let replacedPrevious = false;
+        
+        // Budgets apply to each run; the pool stops handing out lookups once one is reached
+        this.costs.reset();
+        this.budgetStop = null;
+        
+        await runWorkerPool(missingEmails, this.concurrency, async (connection, index, workerId) => {
+            const displayName = connection['Full Name'] || `${connection['First Name']} ${connection['Last Name']}`;
+            this.emit('lookup:start', { connection, name: displayName, index, workerId });
             
-            // Process batch sequentially to respect rate limits
-            for (const [batchIndex, connection] of batch.entries()) {
-                const globalIndex = i + batchIndex;
-                
-                this.progressBar.update(globalIndex, {
-                    status: `Buscando: ${connection['Full Name'] || connection['First Name'] + ' ' + connection['Last Name']}`
-                });
+            const result = await this.searchEmail(
+                displayName,
+                connection['Company'],
+                connection['Position']
+            );
+            
+            await writeQueue.run(async () => {
+                const connectionKey = this.connectionKey(connection);
+                result.key = connectionKey;
                 
-                const result = await this.searchEmail(
-                    connection['Full Name'] || `${connection['First Name']} ${connection['Last Name']}`,
-                    connection['Company'],
-                    connection['Position']
-                );
+                // A new lookup replaces the earlier (errored) result for the same connection
+                const previousIndex = results.findIndex(r => r.key === connectionKey);
+                if (previousIndex !== -1) {
+                    results.splice(previousIndex, 1);
+                    replacedPrevious = true;
+                }
                 
                 currentSession.push(result);
                 results.push(result);
@@ -654,52 +1321,110 @@ class LinkedInEmailFinder {
                     isFirstResult = false; // Solo la primera vez escribe headers
                 }
                 
-                // Add to processed names
-                const connectionKey = this.generateConnectionKey(
-                    connection['Full Name'], 
-                    connection['Company']
-                );
-                progress.processedNames.add(connectionKey);
-                
-                // Save progress every 5 results or at the end
-                if (currentSession.length % 5 === 0 || 
-                    (currentSession.length > 0 && globalIndex === total - 1)) {
-                    this.saveProgress(progress.processedNames, results, startTime);
+                // Only successful lookups count as processed; errors stay pending for --resume / --retry-failed
+                if (result.status !== 'error') {
+                    progress.processedNames.add(connectionKey);
                 }
                 
-                // Update progress with save confirmation
-                this.progressBar.update(globalIndex + 1, {
-                    status: `💾 Guardado: ${connection['Full Name'] || connection['First Name'] + ' ' + connection['Last Name']}`
-                });
+                // Every result is flushed to the store before moving on
+                this.saveProgress(result);
                 
-                // Rate limiting delay
-                if (globalIndex < total - 1) {
-                    await this.sleep(this.delay);
-                }
-            }
-            
-            // Update progress after batch
-            const processed = Math.min(i + this.batchSize, total);
-            this.progressBar.update(processed, {
-                status: `Completado: ${processed}/${total} (CSV actualizado)`
+                // Delivery runs in the background so a slow endpoint never holds up the workers
+                this.delivery.enqueue(result, connection);
+                
+                this.costs.add(result);
+                completed++;
+                this.emit('lookup:done', { connection, result, completed, total, workerId });
+                this.emit('progress', {
+                    completed,
+                    total,
+                    name: displayName,
+                    tokens: this.costs.tokens,
+                    cost: this.costs.cost,
+                    finished: false,
+                    budgetStop: null
+                });
             });
+        }, { shouldStop: () => this.costs.exceeded || this.stopRequested });
+        
+        if (completed < total && this.costs.exceeded) {
+            this.budgetStop = this.costs.exceededReason();
+        }
+        
+        // The last progress event marks the end of the lookups, before delivery and cleanup
+        this.emit('progress', {
+            completed,
+            total,
+            name: '',
+            tokens: this.costs.tokens,
+            cost: this.costs.cost,
+            finished: true,
+            budgetStop: this.budgetStop
+        });
+        
+        if (this.budgetStop) {
+            this.info(`\n⛔ Ejecución detenida: ${this.budgetStop}`);
+            this.info(`   ${total - completed} conexiones quedaron pendientes; continúa con "node index.js run --resume"`);
+        }
+        
+        let delivery = null;
+        if (this.delivery.enabled) {
+            delivery = await this.delivery.drain();
+            this.info(`\n📡 Entregados ${delivery.delivered}/${delivery.queued} resultados a ${this.delivery.url}`);
+            if (delivery.failed > 0) {
+                this.info(`   ⚠️ ${delivery.failed} no se pudieron entregar; quedaron en ${this.config.delivery.deadLetterFile}`);
+            }
         }
         
-        this.progressBar.stop();
+        // Drop superseded lines once they make up a large part of the store
+        if (this.store.needsCompaction()) {
+            this.store.compact();
+        }
+        this.store.close();
         
-        // Final progress save
-        this.saveProgress(progress.processedNames, results, startTime);
+        // Rewrite the CSV so retried connections don't keep their old error rows
+        if (replacedPrevious) {
+            await this.rebuildCsvFromStore();
+        }
         
-        console.log(`\n✅ Procesamiento completado: ${currentSession.length} búsquedas nuevas realizadas`);
+        this.info(`\n✅ Procesamiento completado: ${currentSession.length} búsquedas nuevas realizadas`);
         if (resume && progress.results.length > currentSession.length) {
-            console.log(`   📊 Total acumulado: ${results.length} búsquedas (${results.length - currentSession.length} anteriores + ${currentSession.length} nuevas)`);
+            this.info(`   📊 Total acumulado: ${results.length} búsquedas (${results.length - currentSession.length} anteriores + ${currentSession.length} nuevas)`);
         }
-        console.log(`\n💾 Todos los resultados ya están guardados en ${this.outputFile}`);
-        console.log(`   🔄 Si el script se interrumpió, todos los resultados procesados están preservados`);
+        this.info(`\n💾 Todos los resultados ya están guardados en ${this.outputFile}`);
+        this.info(`   🔄 Si el script se interrumpió, todos los resultados procesados están preservados`);
         
+        this.emit('done', { results, newResults: currentSession.length, completed, total, budgetStop: this.budgetStop, delivery });
         return results;
     }
     
+    /**
+     * Column definition for the results CSV
+     * @returns {Array<Object>} csv-writer header entries
+     */
+    getResultCsvHeader() {
+        return [
+            { id: 'name', title: 'Name' },
+            { id: 'company', title: 'Company' },
+            { id: 'position', title: 'Position' },
+            { id: 'email', title: 'Email' },
+            { id: 'source', title: 'Source' },
+            { id: 'status', title: 'Status' },
+            { id: 'errorCode', title: 'Error Code' },
+            { id: 'confidence', title: 'Confidence' },
+            { id: 'evidence', title: 'Evidence' },
+            { id: 'emailStatus', title: 'Email Status' },
+            { id: 'reviewStatus', title: 'Review Status' },
+            { id: 'method', title: 'Method' },
+            { id: 'resolvedDomain', title: 'Resolved Domain' },
+            { id: 'domainSource', title: 'Domain Source' },
+            { id: 'parseStatus', title: 'Parse Status' },
+            { id: 'query', title: 'Query' },
+            { id: 'response', title: 'AI Response' },
+            { id: 'searchResults', title: 'Web Search Results' }
+        ];
+    }
+    
     /**
      * Save results to CSV file
      * @param {Array} results - Array of search results
@@ -710,30 +1435,20 @@ class LinkedInEmailFinder {
         try {
             const csvWriter = createCsvWriter({
                 path: this.outputFile,
-                header: [
-                    { id: 'name', title: 'Name' },
-                    { id: 'company', title: 'Company' },
-                    { id: 'position', title: 'Position' },
-                    { id: 'email', title: 'Email' },
-                    { id: 'source', title: 'Source' },
-                    { id: 'confidence', title: 'Confidence' },
-                    { id: 'query', title: 'Query' },
-                    { id: 'response', title: 'AI Response' },
-                    { id: 'searchResults', title: 'Web Search Results' }
-                ],
+                header: this.getResultCsvHeader(),
                 append: append
             });
             
             await csvWriter.writeRecords(results);
             
             if (append && results.length > 0) {
-                console.log(`\n💾 ${results.length} nuevos resultados agregados a ${this.outputFile}`);
+                this.info(`\n💾 ${results.length} nuevos resultados agregados a ${this.outputFile}`);
             } else {
-                console.log(`\n💾 Resultados guardados en ${this.outputFile}`);
+                this.info(`\n💾 Resultados guardados en ${this.outputFile}`);
             }
             
         } catch (error) {
-            console.error('❌ Error guardando resultados:', error.message);
+            this.warn(`❌ Error guardando resultados: ${error.message}`);
         }
     }
     
@@ -747,24 +1462,14 @@ class LinkedInEmailFinder {
         try {
             const csvWriter = createCsvWriter({
                 path: this.outputFile,
-                header: [
-                    { id: 'name', title: 'Name' },
-                    { id: 'company', title: 'Company' },
-                    { id: 'position', title: 'Position' },
-                    { id: 'email', title: 'Email' },
-                    { id: 'source', title: 'Source' },
-                    { id: 'confidence', title: 'Confidence' },
-                    { id: 'query', title: 'Query' },
-                    { id: 'response', title: 'AI Response' },
-                    { id: 'searchResults', title: 'Web Search Results' }
-                ],
+                header: this.getResultCsvHeader(),
                 append: !isFirstResult
             });
             
             await csvWriter.writeRecords([result]);
             
         } catch (error) {
-            console.error('⚠️ Error guardando resultado incremental:', error.message);
+            this.warn(`⚠️ Error guardando resultado incremental: ${error.message}`);
         }
     }
     
@@ -783,164 +1488,61 @@ class LinkedInEmailFinder {
             return false;
         }
     }
-    
-    /**
-     * Sleep function for rate limiting
-     * @param {number} ms - Milliseconds to sleep
-     * @returns {Promise<void>}
-     */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-}
-
-// Parse command line arguments
-function parseCommandLineArgs() {
-    const args = process.argv.slice(2);
-    const options = {
-        sampleSize: null,
-        showHelp: false,
-        resume: false,
-        reset: false
-    };
-    
-    for (let i = 0; i < args.length; i++) {
-        const arg = args[i];
-        
-        if (arg === '-n' && i + 1 < args.length) {
-            const sampleSize = parseInt(args[i + 1]);
-            if (isNaN(sampleSize) || sampleSize <= 0) {
-                console.error('❌ Error: El valor de -n debe ser un número positivo');
-                process.exit(1);
-            }
-            options.sampleSize = sampleSize;
-            i++; // Skip next argument since we consumed it
-        } else if (arg === '-h' || arg === '--help') {
-            options.showHelp = true;
-        } else if (arg === '-r' || arg === '--resume') {
-            options.resume = true;
-        } else if (arg === '--reset') {
-            options.reset = true;
-        } else if (arg.startsWith('-')) {
-            console.error(`❌ Error: Parámetro desconocido: ${arg}`);
-            console.log('Usa: node index.js [-n número] [-r|--resume] [--reset] [-h|--help]');
-            process.exit(1);
-        }
-    }
-    
-    return options;
 }
 
-// Show help information
-function showHelp() {
-    console.log(`
-🚀 LinkedIn Email Finder - Ayuda
-
-Uso:
-  node index.js [opciones]
-
-Opciones:
-  -n número       Procesar solo los primeros N registros sin email
-  -r, --resume    Reanudar procesamiento anterior (continúa donde se cortó)
-  --reset         Resetear progreso y empezar desde cero
-  -h, --help      Mostrar esta ayuda
-
-Ejemplos:
-  node index.js                 # Procesar todas las conexiones sin email
-  node index.js -n 5            # Procesar solo los primeros 5 registros sin email
-  node index.js --resume        # Continuar procesamiento previo
-  node index.js --reset -n 10   # Resetear y procesar 10 registros desde cero
-  node index.js --resume -n 5   # Continuar y procesar máximo 5 más
-
-Flujo típico:
-  1. node index.js -n 5         # Probar con muestra pequeña
-  2. node index.js --resume     # Continuar con el resto si funciona bien
-
-Configuración:
-  Las opciones se configuran en el archivo .env:
-  - OPENAI_API_KEY: Tu clave API de OpenAI (requerida)
-  - BATCH_SIZE: Número de búsquedas por lote (default: 5)
-  - DELAY_BETWEEN_REQUESTS: Pausa entre requests en ms (default: 2000)
-  - OUTPUT_FILE: Archivo de salida CSV (default: email_search_results.csv)
-  - PROGRESS_FILE: Archivo de progreso (default: search_progress.json)
-`);
+/**
+ * Look up emails for a list of connections, for use as a library (no terminal output)
+ * @param {Array<Object>} connections - Connection objects: fullName (or firstName/lastName), company, position, url, email...
+ * @param {Object} options - Configuration overrides (see lib/config.js) plus:
+ *   limit (only the first N pending connections), resume, retryFailed, and
+ *   on: { event: listener } to subscribe to the finder's events
+ * @returns {Promise<Array>} Search results (every stored result when resuming)
+ */
+async function findEmails(connections, options = {}) {
+    const { limit = null, resume = false, retryFailed = false, on = {}, ...overrides } = options;
+    const finder = new LinkedInEmailFinder(overrides);
+    for (const [event, listener] of Object.entries(on)) {
+        finder.on(event, listener);
+    }
+    return finder.processConnections(finder.normalizeConnections(connections), limit, resume, retryFailed);
 }
 
 // Main execution function
-async function main() {
+async function main(argv = process.argv.slice(2)) {
     try {
-        // Parse command line arguments
-        const options = parseCommandLineArgs();
+        const { command, options } = parseArgs(argv);
         
-        if (options.showHelp) {
+        if (options.help) {
             showHelp();
-            return;
-        }
-        
-        console.log('🚀 LinkedIn Email Finder - Iniciando...\n');
-        
-        // Check for required environment variables
-        if (!process.env.OPENAI_API_KEY) {
-            console.error('❌ Error: OPENAI_API_KEY no está configurada en las variables de entorno');
-            process.exit(1);
-        }
-        
-        // Initialize the email finder
-        const finder = new LinkedInEmailFinder();
-        
-        // Handle reset option
-        if (options.reset) {
-            finder.resetProgress();
+            return EXIT_CODES.OK;
         }
         
-        // Show mode information
-        if (options.resume) {
-            console.log('🔄 Modo reanudación: continuando desde progreso anterior');
-        }
-        if (options.sampleSize) {
-            console.log(`🎯 Modo muestra: procesando solo los primeros ${options.sampleSize} registros sin email`);
-        }
-        if (options.reset) {
-            console.log('🔄 Progreso reseteado: empezando desde cero');
-        }
-        console.log('');
-        
-        // Load connections
-        console.log('📂 Cargando conexiones de LinkedIn...');
-        const connections = await finder.loadConnections('Connections.csv');
-        
-        // Process connections and find emails
-        const results = await finder.processConnections(connections, options.sampleSize, options.resume);
-        
-        if (results.length > 0) {
-            // Results are already saved incrementally, no need to save again
-            
-            // Print summary
-            const emailsFound = results.filter(r => r.email && r.email.length > 0).length;
-            const sourcesFound = results.filter(r => r.source && r.source.length > 0).length;
-            const highConfidence = results.filter(r => r.confidence === 'HIGH').length;
-            
-            console.log('\n📊 Resumen de Búsqueda de Emails:');
-            console.log(`   Total de conexiones procesadas: ${results.length}`);
-            console.log(`   Emails encontrados: ${emailsFound}`);
-            console.log(`   Búsquedas con fuentes: ${sourcesFound}`);
-            console.log(`   Resultados de alta confianza: ${highConfidence}`);
-            console.log(`   Tasa de éxito: ${((emailsFound / results.length) * 100).toFixed(1)}%`);
-            console.log(`\n📁 Archivo de resultados: ${finder.outputFile}`);
-            console.log(`   💡 Los resultados se guardaron automáticamente durante el procesamiento`);
-        } else {
-            console.log('✅ No hay conexiones para procesar');
+        // Settings from --config, then the path flags on top
+        const fileOverrides = options.config ? loadConfigFile(options.config) : {};
+        let finder;
+        try {
+            finder = new LinkedInEmailFinder(mergeConfig(fileOverrides, optionOverrides(command, options)));
+        } catch (error) {
+            throw new CliError(error.message, EXIT_CODES.CONFIG);
         }
         
+        // The CLI is just another listener: it prints the finder's events
+        attachCliReporter(finder);
+        return await executeCommand(command, finder, options);
     } catch (error) {
-        console.error('❌ Ocurrió un error:', error.message);
-        process.exit(1);
+        console.error(`❌ Error: ${error.message}`);
+        if (error.exitCode === EXIT_CODES.USAGE) {
+            console.log('Usa: node index.js --help para ver los comandos y opciones');
+        }
+        return error.exitCode || EXIT_CODES.ERROR;
     }
 }
 
 // Run the main function if this script is executed directly
 if (require.main === module) {
-    main();
+    main().then(code => {
+        process.exitCode = code;
+    });
 }
 
-module.exports = { LinkedInEmailFinder }; 
\ No newline at end of file
+module.exports = { LinkedInEmailFinder, findEmails, main };
@@ -0,0 +1,279 @@
+/**
+ * Response contract for the email analysis step.
+ *
+ * The model is asked for a JSON object matching ANALYSIS_SCHEMA. Backends
+ * without JSON mode (or models that ignore it) fall back to the legacy
+ * EMAIL:/SOURCE:/CONFIDENCE:/REASONING: text format.
+ */
+
+const CONFIDENCE_LEVELS = ['HIGH', 'MEDIUM', 'LOW'];
+
+const ANALYSIS_SCHEMA = {
+    type: 'object',
+    properties: {
+        email: {
+            type: 'string',
+            description: 'Business email address found, or "NOT_FOUND"'
+        },
+        sources: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'URLs or sources from the search results that support the email'
+        },
+        confidence: {
+            type: 'string',
+            enum: CONFIDENCE_LEVELS
+        },
+        reasoning: {
+            type: 'string',
+            description: 'Brief explanation of how the email was found'
+        }
+    },
+    required: ['email', 'sources', 'confidence', 'reasoning'],
+    additionalProperties: false
+};
+
+// Parse status recorded on every result so malformed responses can be found later
+const PARSE_STATUS = {
+    JSON: 'json',                   // valid JSON on the first attempt
+    JSON_RETRY: 'json_retry',       // valid JSON after re-prompting
+    TEXT: 'text',                   // legacy text format (JSON mode disabled)
+    TEXT_FALLBACK: 'text_fallback', // JSON expected but only the text format could be parsed
+    INVALID: 'invalid'              // nothing usable in the response
+};
+
+// The address must stand on its own (spaces, brackets, quotes, markdown around it): an ASCII
+// run cut out of a longer word ("ez@acme.com" from "martínez@acme.com") is not an address
+const EMAIL_REGEX = /(?<![^\s<>()[\]"'`,;:*])[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}(?![^\s<>()[\]"'`,;:*.])/i;
+
+/**
+ * Build the response_format request parameter for a JSON mode
+ * @param {string} mode - 'json_schema', 'json_object' or 'off'
+ * @returns {Object|null} response_format value, or null for text mode
+ */
+function buildResponseFormat(mode) {
+    if (mode === 'json_schema') {
+        return {
+            type: 'json_schema',
+            json_schema: {
+                name: 'email_analysis',
+                strict: true,
+                schema: ANALYSIS_SCHEMA
+            }
+        };
+    }
+    if (mode === 'json_object') {
+        return { type: 'json_object' };
+    }
+    return null;
+}
+
+/**
+ * Instructions appended to the prompt describing the expected output
+ * @param {boolean} json - Whether JSON output is requested
+ * @returns {string} Output format instructions
+ */
+function buildFormatInstructions(json) {
+    if (json) {
+        return `Return ONLY a JSON object with exactly these fields:
+                {
+                  "email": "email address if found, or \\"NOT_FOUND\\"",
+                  "sources": ["specific URLs or sources from the search results"],
+                  "confidence": "HIGH" | "MEDIUM" | "LOW",
+                  "reasoning": "brief explanation of how you found the email"
+                }`;
+    }
+    return `Return your response in this exact format:
+
+                EMAIL: [email address if found, or "NOT_FOUND"]
+                SOURCE: [specific URL or source from search results]
+                CONFIDENCE: [HIGH/MEDIUM/LOW]
+                REASONING: [brief explanation of how you found the email]`;
+}
+
+/**
+ * Extract an email address from a free-form value
+ * @param {string} value - Raw value ("NOT_FOUND.", "<a@b.com>", "a@b.com (guess)"...)
+ * @returns {string} Email address, or '' if none (or only part of one is valid)
+ */
+function cleanEmail(value) {
+    if (!value || typeof value !== 'string') return '';
+    const match = value.match(EMAIL_REGEX);
+    return match ? match[0].replace(/\.+$/, '').toLowerCase() : '';
+}
+
+/**
+ * Normalize a confidence value to HIGH/MEDIUM/LOW
+ * @param {string} value - Raw confidence
+ * @returns {string} Confidence level (LOW when unrecognized)
+ */
+function cleanConfidence(value) {
+    const upper = String(value || '').toUpperCase();
+    return CONFIDENCE_LEVELS.find(level => upper.includes(level)) || 'LOW';
+}
+
+/**
+ * Lower a confidence level so it is at most the given maximum
+ * @param {string} confidence - Current level
+ * @param {string} max - Highest level allowed
+ * @returns {string} The lower of the two levels
+ */
+function capConfidence(confidence, max) {
+    const current = CONFIDENCE_LEVELS.indexOf(cleanConfidence(confidence));
+    const limit = CONFIDENCE_LEVELS.indexOf(max);
+    return CONFIDENCE_LEVELS[Math.max(current, limit)];
+}
+
+/**
+ * Lower a confidence level by a number of steps (never below LOW)
+ * @param {string} confidence - Current level
+ * @param {number} steps - Levels to drop
+ * @returns {string} Downgraded level
+ */
+function downgradeConfidence(confidence, steps = 1) {
+    const current = CONFIDENCE_LEVELS.indexOf(cleanConfidence(confidence));
+    return CONFIDENCE_LEVELS[Math.min(current + steps, CONFIDENCE_LEVELS.length - 1)];
+}
+
+/**
+ * Parse a JSON object from a model response, tolerating code fences and
+ * text around the object
+ * @param {string} text - Raw response text
+ * @returns {Object} { data, error }
+ */
+function parseJSONResponse(text) {
+    if (!text || typeof text !== 'string') {
+        return { data: null, error: 'Respuesta vacía' };
+    }
+
+    let candidate = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        return { data: null, error: 'La respuesta no contiene un objeto JSON' };
+    }
+    candidate = candidate.slice(start, end + 1);
+
+    try {
+        return { data: JSON.parse(candidate), error: null };
+    } catch (error) {
+        return { data: null, error: `JSON inválido: ${error.message}` };
+    }
+}
+
+/**
+ * Validate parsed data against ANALYSIS_SCHEMA
+ * @param {Object} data - Parsed response
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateAnalysis(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['la respuesta debe ser un objeto JSON'];
+    }
+
+    for (const field of ANALYSIS_SCHEMA.required) {
+        if (!(field in data)) errors.push(`falta el campo "${field}"`);
+    }
+
+    if ('email' in data && typeof data.email !== 'string') {
+        errors.push('"email" debe ser un string');
+    } else if (typeof data.email === 'string' && data.email.trim() !== 'NOT_FOUND' && !cleanEmail(data.email)) {
+        errors.push('"email" debe ser una dirección de email o "NOT_FOUND"');
+    }
+
+    if ('sources' in data && (!Array.isArray(data.sources) || data.sources.some(s => typeof s !== 'string'))) {
+        errors.push('"sources" debe ser un array de strings');
+    }
+
+    if ('confidence' in data && !CONFIDENCE_LEVELS.includes(data.confidence)) {
+        errors.push(`"confidence" debe ser uno de ${CONFIDENCE_LEVELS.join(', ')}`);
+    }
+
+    if ('reasoning' in data && typeof data.reasoning !== 'string') {
+        errors.push('"reasoning" debe ser un string');
+    }
+
+    return errors;
+}
+
+/**
+ * Convert validated JSON data into the analysis shape used by results
+ * @param {Object} data - Validated response
+ * @returns {Object} { email, sources, confidence, reasoning }
+ */
+function normalizeAnalysis(data) {
+    return {
+        email: cleanEmail(data.email),
+        sources: (data.sources || []).map(s => s.trim()).filter(Boolean),
+        confidence: cleanConfidence(data.confidence),
+        reasoning: (data.reasoning || '').trim()
+    };
+}
+
+/**
+ * Read a "KEY: value" field from the legacy text format. Handles markdown
+ * bold markers and values continued as bulleted lines below the key.
+ * @param {Array<string>} lines - Response lines
+ * @param {string} key - Field name (EMAIL, SOURCE...)
+ * @returns {Array<string>|null} Values found, or null if the key is absent
+ */
+function readTextField(lines, key) {
+    const keyRegex = new RegExp(`^[\\s*_#>-]*${key}S?[*_]*\\s*:[*_]*\\s*(.*)$`, 'i');
+    const nextKeyRegex = /^[\s*_#>-]*(EMAIL|SOURCES?|CONFIDENCE|REASONING)[*_]*\s*:/i;
+
+    for (let i = 0; i < lines.length; i++) {
+        const match = lines[i].match(keyRegex);
+        if (!match) continue;
+
+        const values = [];
+        if (match[1].trim()) values.push(match[1].trim());
+
+        // Collect bulleted or indented continuation lines until the next key
+        for (let j = i + 1; j < lines.length; j++) {
+            const line = lines[j].trim();
+            if (!line || nextKeyRegex.test(line)) break;
+            if (!/^([-*•]|\d+[.)])\s+/.test(line)) break;
+            values.push(line.replace(/^([-*•]|\d+[.)])\s+/, ''));
+        }
+        return values;
+    }
+    return null;
+}
+
+/**
+ * Parse the legacy EMAIL:/SOURCE:/CONFIDENCE:/REASONING: text format
+ * @param {string} text - Raw response text
+ * @returns {Object} { email, sources, confidence, reasoning, matched }
+ */
+function parseTextResponse(text) {
+    const lines = String(text || '').split(/\r?\n/);
+    const email = readTextField(lines, 'EMAIL');
+    const sources = readTextField(lines, 'SOURCE') || [];
+    const confidence = readTextField(lines, 'CONFIDENCE');
+    const reasoning = readTextField(lines, 'REASONING');
+
+    return {
+        email: email ? cleanEmail(email.join(' ')) : '',
+        sources: sources.map(s => s.replace(/^\[|\]$/g, '').trim()).filter(Boolean),
+        confidence: confidence ? cleanConfidence(confidence.join(' ')) : 'LOW',
+        reasoning: reasoning ? reasoning.join(' ') : '',
+        matched: email !== null
+    };
+}
+
+module.exports = {
+    ANALYSIS_SCHEMA,
+    CONFIDENCE_LEVELS,
+    PARSE_STATUS,
+    buildResponseFormat,
+    buildFormatInstructions,
+    cleanEmail,
+    cleanConfidence,
+    capConfidence,
+    downgradeConfidence,
+    parseJSONResponse,
+    validateAnalysis,
+    normalizeAnalysis,
+    parseTextResponse
+};
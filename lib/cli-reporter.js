@@ -0,0 +1,87 @@
+const cliProgress = require('cli-progress');
+
+/**
+ * Create the progress display: an overall bar plus a status line per worker
+ * @param {number} total - Number of lookups
+ * @param {number} workerCount - Number of concurrent workers
+ * @returns {Object} { multibar, overall, workers }
+ */
+function createProgressBars(total, workerCount) {
+    const multibar = new cliProgress.MultiBar({
+        format: 'Progreso |{bar}| {percentage}% | {value}/{total} | ETA: {eta}s | {status}',
+        barCompleteChar: '\u2588',
+        barIncompleteChar: '\u2591',
+        hideCursor: true,
+        clearOnComplete: false
+    });
+
+    const overall = multibar.create(total, 0, { status: '' });
+    overall.setTotal(total); // create() skips initialization when stdout is not a TTY
+    const workers = [];
+    for (let i = 0; i < workerCount; i++) {
+        workers.push(multibar.create(1, 0, { worker: i + 1, status: 'En espera' }, {
+            format: '   Worker {worker} | {status}'
+        }));
+    }
+
+    return { multibar, overall, workers };
+}
+
+/**
+ * Print a finder's events to the terminal: its log messages, per-lookup
+ * errors and, while lookups run, the progress bars. The finder never writes
+ * to the console itself, so this is all the CLI adds on top of the library.
+ * @param {LinkedInEmailFinder} finder - Finder to report on
+ * @returns {LinkedInEmailFinder} The same finder
+ */
+function attachCliReporter(finder) {
+    let bars = null;
+
+    finder.on('log', ({ level, message }) => {
+        if (level === 'info') {
+            console.log(message);
+        } else {
+            console.error(message);
+        }
+    });
+
+    finder.on('error', ({ name, code, message }) => {
+        console.error(`❌ Error buscando email para ${name} (${code}): ${message}`);
+    });
+
+    finder.on('start', ({ total, workers }) => {
+        if (total === 0) return;
+        bars = createProgressBars(total, workers);
+        bars.overall.update(0, { status: `Iniciando búsqueda con ${workers} workers...` });
+    });
+
+    finder.on('lookup:start', ({ name, workerId }) => {
+        if (!bars) return;
+        bars.workers[workerId].update(0, { worker: workerId + 1, status: `Buscando: ${name}` });
+    });
+
+    finder.on('lookup:done', ({ workerId }) => {
+        if (!bars) return;
+        bars.workers[workerId].update(0, { worker: workerId + 1, status: 'En espera' });
+    });
+
+    finder.on('progress', ({ completed, total, name, finished, budgetStop }) => {
+        if (!bars) return;
+        if (!finished) {
+            bars.overall.update(completed, { status: `💾 Guardado: ${name} | ${finder.costs.describe()}` });
+            return;
+        }
+
+        bars.overall.update(completed, {
+            status: budgetStop
+                ? `Detenido: ${completed}/${total} | ${finder.costs.describe()}`
+                : `Completado: ${completed}/${total} (CSV actualizado) | ${finder.costs.describe()}`
+        });
+        bars.multibar.stop();
+        bars = null;
+    });
+
+    return finder;
+}
+
+module.exports = { attachCliReporter, createProgressBars };
@@ -0,0 +1,381 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { listInputFormats } = require('./input-adapters');
+const { listExporters } = require('./exporters');
+
+// Process exit codes, so cron jobs and Makefiles can react to the outcome
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,        // Unexpected failure
+    USAGE: 2,        // Unknown command or invalid option
+    CONFIG: 3,       // Missing API key, invalid config file
+    INPUT: 4,        // Input file missing or unreadable
+    INCOMPLETE: 5,   // Run finished but some lookups ended in an error (use `retry`)
+    BUDGET: 6        // Run stopped at the --max-cost / --max-tokens budget (use `run --resume`)
+};
+
+const COMMANDS = ['run', 'retry', 'status', 'report', 'export', 'reset', 'validate', 'serve', 'review'];
+
+const CONFIDENCE_CHOICES = ['HIGH', 'MEDIUM', 'LOW'];
+
+// Supported options. `type` is boolean, string or number (`decimal` allows fractions); `choices` limits string values.
+const OPTIONS = {
+    help: { alias: 'h', type: 'boolean' },
+    input: { alias: 'i', type: 'string' },
+    output: { alias: 'o', type: 'string' },
+    state: { type: 'string' },
+    config: { alias: 'c', type: 'string' },
+    format: { type: 'string', choices: () => ['auto', ...listInputFormats()] },
+    limit: { alias: 'n', type: 'number' },
+    resume: { alias: 'r', type: 'boolean' },
+    reset: { type: 'boolean' },
+    offline: { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+    'max-cost': { type: 'number', decimal: true },
+    'max-tokens': { type: 'number' },
+    profile: { type: 'string', choices: () => ['enriched', ...listExporters()] },
+    mapping: { type: 'string' },
+    'min-confidence': { type: 'string', choices: () => CONFIDENCE_CHOICES, upper: true },
+    'only-found': { type: 'boolean' },
+    'include-missing': { type: 'boolean' },
+    'only-accepted': { type: 'boolean' },
+    'rebuild-csv': { type: 'boolean' },
+    company: { type: 'string' },
+    position: { type: 'string' },
+    'connected-after': { type: 'string' },
+    'connected-before': { type: 'string' },
+    'include-list': { type: 'string' },
+    'exclude-list': { type: 'string' },
+    priority: { type: 'string' },
+    json: { type: 'boolean' },
+    html: { type: 'boolean' },
+    host: { type: 'string' },
+    port: { type: 'number' },
+    // Flags from before subcommands existed; mapped onto a command in parseArgs
+    'retry-failed': { type: 'boolean' },
+    export: { type: 'boolean' }
+};
+
+/**
+ * Error that should end the process with a specific exit code
+ */
+class CliError extends Error {
+    /**
+     * @param {string} message - Message shown to the user
+     * @param {number} exitCode - One of EXIT_CODES
+     */
+    constructor(message, exitCode = EXIT_CODES.ERROR) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Find an option definition by long name or alias
+ * @param {string} name - Name without dashes
+ * @returns {Array|null} [longName, definition]
+ */
+function findOption(name) {
+    if (OPTIONS[name]) return [name, OPTIONS[name]];
+    const entry = Object.entries(OPTIONS).find(([, def]) => def.alias === name);
+    return entry || null;
+}
+
+/**
+ * Convert and check an option value
+ * @param {string} name - Option name
+ * @param {Object} def - Option definition
+ * @param {string} raw - Raw value
+ * @returns {*} Parsed value
+ */
+function parseValue(name, def, raw) {
+    if (def.type === 'number') {
+        const value = def.decimal ? parseFloat(raw) : parseInt(raw);
+        if (Number.isNaN(value) || value <= 0) {
+            throw new CliError(`El valor de --${name} debe ser un número positivo`, EXIT_CODES.USAGE);
+        }
+        return value;
+    }
+
+    const value = def.upper ? raw.toUpperCase() : raw;
+    if (def.choices) {
+        const choices = def.choices();
+        const normalized = def.upper ? value : value.toLowerCase();
+        if (!choices.includes(normalized)) {
+            throw new CliError(`Valor inválido para --${name}: ${raw} (disponibles: ${choices.join(', ')})`, EXIT_CODES.USAGE);
+        }
+        return normalized;
+    }
+    return value;
+}
+
+/**
+ * Parse command line arguments: `<command> [options] [args]`.
+ *
+ * Options accept `--key value`, `--key=value` and short aliases (`-n 5`).
+ * Without a command, `run` is assumed and the old flags still work
+ * (`--retry-failed` → retry, `--export [file]` → export, `--rebuild-csv` → export).
+ *
+ * @param {Array<string>} argv - Arguments without the node/script prefix
+ * @returns {Object} { command, options, args }
+ */
+function parseArgs(argv) {
+    const options = {};
+    const positionals = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        const body = arg.replace(/^--?/, '');
+        const eq = body.indexOf('=');
+        const name = eq === -1 ? body : body.slice(0, eq);
+        const found = findOption(name);
+        if (!found) {
+            throw new CliError(`Parámetro desconocido: ${arg}`, EXIT_CODES.USAGE);
+        }
+        const [longName, def] = found;
+
+        if (def.type === 'boolean') {
+            if (eq !== -1) {
+                const raw = body.slice(eq + 1).toLowerCase();
+                if (!['true', 'false', 'on', 'off', '1', '0'].includes(raw)) {
+                    throw new CliError(`Valor inválido para --${longName}: ${raw}`, EXIT_CODES.USAGE);
+                }
+                options[longName] = ['true', 'on', '1'].includes(raw);
+            } else {
+                options[longName] = true;
+            }
+            continue;
+        }
+
+        let raw;
+        if (eq !== -1) {
+            raw = body.slice(eq + 1);
+        } else if (i + 1 < argv.length) {
+            raw = argv[++i];
+        } else {
+            throw new CliError(`Falta el valor de --${longName}`, EXIT_CODES.USAGE);
+        }
+        options[longName] = parseValue(longName, def, raw);
+    }
+
+    let command = null;
+    if (positionals.length > 0 && COMMANDS.includes(positionals[0])) {
+        command = positionals.shift();
+    } else if (options['retry-failed']) {
+        command = 'retry';
+    } else if (options.export || options['rebuild-csv']) {
+        command = 'export';
+    } else if (positionals.length > 0 && !options.export) {
+        throw new CliError(`Comando desconocido: ${positionals[0]} (disponibles: ${COMMANDS.join(', ')})`, EXIT_CODES.USAGE);
+    } else {
+        command = 'run';
+    }
+
+    // `export [file]` is the same as `export --output file`
+    if (command === 'export' && positionals.length > 0 && !options.output) {
+        options.output = positionals.shift();
+    }
+    if (positionals.length > 0) {
+        throw new CliError(`Argumento inesperado: ${positionals[0]}`, EXIT_CODES.USAGE);
+    }
+
+    return { command, options };
+}
+
+/**
+ * Load a --config file: JSON with configuration sections (see lib/config.js),
+ * or a .env-style file whose variables override the current environment
+ * @param {string} filePath - Config file
+ * @returns {Object} Configuration overrides (empty for .env files)
+ */
+function loadConfigFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new CliError(`El archivo de configuración ${filePath} no existe`, EXIT_CODES.CONFIG);
+    }
+
+    if (path.extname(filePath).toLowerCase() === '.json') {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new CliError(`El archivo de configuración ${filePath} no es JSON válido: ${error.message}`, EXIT_CODES.CONFIG);
+        }
+    }
+
+    const result = dotenv.config({ path: filePath, override: true });
+    if (result.error) {
+        throw new CliError(`No se pudo leer ${filePath}: ${result.error.message}`, EXIT_CODES.CONFIG);
+    }
+    return {};
+}
+
+/**
+ * Turn the path and targeting flags into configuration overrides
+ * @param {string} command - Command being run
+ * @param {Object} options - Parsed options
+ * @returns {Object} Overrides for loadConfig
+ */
+function optionOverrides(command, options) {
+    const overrides = {};
+    if (options.input || options.format) {
+        overrides.input = { file: options.input, format: options.format };
+    }
+    if (options.state) {
+        overrides.store = { file: options.state };
+    }
+    if (options.offline) {
+        overrides.cache = { offline: true };
+    }
+    overrides.budget = { maxCost: options['max-cost'], maxTokens: options['max-tokens'] };
+    if (options['dry-run']) {
+        overrides.dryRun = { enabled: true };
+    }
+    overrides.targeting = {
+        company: options.company,
+        position: options.position,
+        connectedAfter: options['connected-after'],
+        connectedBefore: options['connected-before'],
+        includeFile: options['include-list'],
+        excludeFile: options['exclude-list'],
+        priority: options.priority
+    };
+    if (options.host || options.port) {
+        overrides.server = { host: options.host, port: options.port };
+    }
+    if (options.output) {
+        // --output is the file the command writes: the export, the HTML report, or the results CSV
+        if (command === 'export' && !options['rebuild-csv']) overrides.export = { file: options.output };
+        else if (command === 'status' || command === 'report') overrides.report = { file: options.output };
+        else overrides.output = { file: options.output };
+    }
+    return overrides;
+}
+
+/**
+ * Print usage
+ */
+function showHelp() {
+    console.log(`
+🚀 LinkedIn Email Finder - Ayuda
+
+Uso:
+  node index.js <comando> [opciones]
+
+Comandos:
+  run        Buscar emails de los contactos sin email (comando por defecto)
+  retry      Reprocesar solo las búsquedas que terminaron con error
+  status     Reporte del avance: pendientes, tasa de acierto, confianza, errores, tiempo y costo
+  report     Igual que status
+  export     Exportar resultados (contactos enriquecidos o perfiles de CRM)
+  reset      Borrar el progreso y el CSV de resultados
+  validate   Verificar la configuración y el archivo de contactos sin buscar nada
+  serve      Servidor HTTP local: búsquedas individuales (POST /lookup) y trabajos en lote (POST /jobs)
+  review     Revisar uno por uno los resultados de confianza media o baja: aceptar, rechazar o corregir
+
+Opciones generales:
+  -i, --input archivo     Archivo de contactos (default: Connections.csv)
+  -o, --output archivo    Archivo de salida (CSV de resultados, export o reporte HTML)
+  --state archivo         Archivo de progreso (default: search_progress.jsonl)
+  -c, --config archivo    Configuración: .env o JSON con secciones de configuración
+  --format formato        Formato de entrada: auto, ${listInputFormats().join(', ')}
+  -h, --help              Mostrar esta ayuda
+
+Opciones de run:
+  -n, --limit número      Procesar solo los primeros N registros sin email
+  -r, --resume            Reanudar procesamiento anterior (continúa donde se cortó)
+  --reset                 Resetear progreso y empezar desde cero
+  --offline               Usar solo búsquedas y respuestas de IA guardadas en la caché (sin red)
+  --dry-run               Simular: mostrar consultas, prompts, tokens y costo estimados sin llamar
+                          a ninguna API ni tocar el progreso (detalle en dry_run.jsonl)
+  --max-cost USD          Parar al gastar este monto en la IA (se continúa con --resume)
+  --max-tokens número     Parar al usar esta cantidad de tokens (se continúa con --resume)
+
+Filtros y prioridad (run, retry y status):
+  --company lista         Solo estas empresas: palabras separadas por comas o /regex/
+  --position lista        Solo estos cargos: palabras separadas por comas o /regex/
+  --connected-after F     Conectados desde la fecha F (AAAA-MM-DD o AAAA-MM)
+  --connected-before F    Conectados hasta la fecha F
+  --include-list archivo  Solo los nombres o URLs de perfil del archivo (uno por línea)
+  --exclude-list archivo  Omitir los nombres o URLs de perfil del archivo
+  --priority orden        file (default), recent (más recientes primero), seniority
+                          (cargos más altos primero); se pueden combinar: seniority,recent
+
+Opciones de status / report:
+  --json                  Imprimir el reporte como JSON
+  --html                  Guardar el reporte como página HTML (default: report.html)
+
+Opciones de export:
+  --profile nombre        enriched (default), ${listExporters().join(', ')}
+  --mapping archivo       Columnas personalizadas desde un archivo JSON
+  --min-confidence NIVEL  Confianza mínima (HIGH, MEDIUM, LOW)
+  --only-found            Omitir los contactos que siguen sin email
+  --include-missing       Con perfiles de CRM: incluir también los contactos sin email
+  --only-accepted         Solo los emails aceptados o corregidos con review
+  --rebuild-csv           Regenerar el CSV de resultados desde el archivo de progreso
+
+Opciones de serve:
+  --host dirección        Dirección en la que escuchar (default: 127.0.0.1)
+  --port número           Puerto (default: 3000)
+
+Opciones de review:
+  -n, --limit número      Revisar como máximo N resultados
+
+Las opciones aceptan --clave valor y --clave=valor.
+
+Ejemplos:
+  node index.js run -n 5                          # Probar con los primeros 5 registros sin email
+  node index.js run --resume                      # Continuar procesamiento previo
+  node index.js run --reset -n 10                 # Resetear y procesar 10 registros desde cero
+  node index.js retry                             # Reintentar solo las búsquedas con error
+  node index.js run --reset --offline             # Repetir todo desde la caché, sin red ni costo
+  node index.js run --dry-run --company acme      # Ver qué se buscaría y cuánto costaría
+  node index.js run --resume --max-cost 2         # Gastar como máximo US$2 en esta ejecución
+  node index.js status                            # Ver cuánto falta
+  node index.js report --html -o avance.html      # Reporte HTML para compartir
+  node index.js export --min-confidence=MEDIUM    # Contactos + emails con confianza media o alta
+  node index.js export --profile hubspot -o hubspot.csv
+  node index.js run --position '/\\b(cto|vp|head)\\b/' --priority=recent -n 20
+  node index.js run --company acme,globex --exclude-list ya_contactados.txt
+  node index.js run --input ana/Connections.csv --state ana/progress.jsonl --output ana/results.csv
+  node index.js serve --port 8080                 # API HTTP para herramientas internas
+  node index.js review -n 20                      # Revisar 20 resultados de confianza media o baja
+  node index.js export --only-accepted            # Exportar solo lo aceptado en la revisión
+
+Códigos de salida:
+  0 correcto · 1 error inesperado · 2 uso incorrecto · 3 configuración inválida
+  4 archivo de entrada inválido · 5 terminó con búsquedas con error (usa retry)
+  6 se detuvo al alcanzar el presupuesto (continúa con run --resume)
+
+Configuración:
+  Las opciones se configuran en el archivo .env (o con --config):
+  - OPENAI_API_KEY: Tu clave API de OpenAI (requerida salvo con modelo local)
+  - LLM_MODEL: Modelo a usar (default: gpt-3.5-turbo)
+  - LLM_BASE_URL: URL de un servidor compatible con OpenAI (Ollama, llama.cpp, vLLM)
+  - LLM_FALLBACK_MODEL: Modelo alternativo si falla el principal
+  - CONCURRENCY: Número de búsquedas simultáneas (default: 3)
+  - SEARCH_RPM: Búsquedas web por minuto (default: 30)
+  - LLM_RPM / LLM_TPM: Llamadas y tokens de IA por minuto (default: 60 / sin límite)
+  - INPUT_FILE / INPUT_FORMAT: Archivo de contactos y su formato
+  - OUTPUT_FILE: Archivo de salida CSV (default: email_search_results.csv)
+  - PROGRESS_FILE: Archivo de progreso JSONL (default: search_progress.jsonl)
+  - EXPORT_PROFILE / EXPORT_FILE: Perfil y archivo de export
+  - TARGET_COMPANY / TARGET_POSITION / TARGET_PRIORITY: Filtros y prioridad por defecto
+  - DELIVERY_URL: Webhook o API de CRM al que enviar cada resultado encontrado
+  - STORE_FSYNC: off para no forzar escritura a disco en cada resultado
+  - SERVER_PORT / SERVER_TOKEN / SERVER_JOB_CONCURRENCY: Puerto, token y trabajos simultáneos de serve
+  - REVIEW_CONFIDENCE / REVIEWER: Niveles que pasan por review (default: MEDIUM,LOW) y nombre del revisor
+`);
+}
+
+module.exports = { EXIT_CODES, COMMANDS, CliError, parseArgs, loadConfigFile, optionOverrides, showHelp };
@@ -0,0 +1,558 @@
+const fs = require('fs');
+const readline = require('readline');
+const { EXIT_CODES, CliError } = require('./cli');
+const { loadMappingFile } = require('./exporters');
+const { loadInput } = require('./input-adapters');
+const { buildReport, formatReportTable, renderReportHtml } = require('./report');
+const { formatUsd, formatTokens } = require('./cost-tracker');
+const { LookupServer } = require('./server');
+
+/**
+ * Load the configured input file, turning read errors into an input exit code
+ * @param {LinkedInEmailFinder} finder - Finder instance
+ * @returns {Promise<Array>} Loaded connections
+ */
+async function loadInputConnections(finder) {
+    const { file, format } = finder.config.input;
+    console.log(`📂 Cargando contactos de ${file}...`);
+    try {
+        return await finder.loadConnections(file, format);
+    } catch (error) {
+        throw new CliError(error.message, EXIT_CODES.INPUT);
+    }
+}
+
+/**
+ * Stop early if the LLM backend can't be used
+ * @param {LinkedInEmailFinder} finder - Finder instance
+ */
+function requireLLM(finder) {
+    if (finder.cache.offline) {
+        console.log(`📴 Modo offline: solo respuestas de la caché (${finder.cache.dir})`);
+        return;
+    }
+    const llmError = finder.llm.validate();
+    if (llmError && finder.config.dryRun.enabled) {
+        // A dry run makes no calls, but the real run will need the key
+        console.log(`⚠️ ${llmError}`);
+    } else if (llmError) {
+        throw new CliError(llmError, EXIT_CODES.CONFIG);
+    }
+    console.log(`🤖 Modelo: ${finder.llm.model}${finder.llm.isLocal() ? ` (local: ${finder.llm.baseUrl})` : ''}`);
+}
+
+/**
+ * Print the end-of-run summary
+ * @param {LinkedInEmailFinder} finder - Finder instance
+ * @param {Array<Object>} results - Every result known after the run
+ * @returns {number} Exit code: BUDGET if the run stopped at its budget, INCOMPLETE if some lookups are still in error
+ */
+function printRunSummary(finder, results) {
+    if (results.length === 0) {
+        console.log('✅ No hay conexiones para procesar');
+        return EXIT_CODES.OK;
+    }
+
+    const emailsFound = results.filter(r => r.email && r.email.length > 0).length;
+    const sourcesFound = results.filter(r => r.source && r.source.length > 0).length;
+    const highConfidence = results.filter(r => r.confidence === 'HIGH').length;
+    const failed = results.filter(r => r.status === 'error').length;
+
+    console.log('\n📊 Resumen de Búsqueda de Emails:');
+    console.log(`   Total de conexiones procesadas: ${results.length}`);
+    console.log(`   Emails encontrados: ${emailsFound}`);
+    console.log(`   Búsquedas con fuentes: ${sourcesFound}`);
+    console.log(`   Resultados de alta confianza: ${highConfidence}`);
+    console.log(`   Búsquedas con error: ${failed}`);
+    console.log(`   Tasa de éxito: ${((emailsFound / results.length) * 100).toFixed(1)}%`);
+
+    const tokens = results.reduce((sum, r) => sum + (r.tokens || 0), 0);
+    const cost = results.reduce((sum, r) => sum + (r.cost || 0), 0);
+    console.log(`   Tokens usados: ${formatTokens(tokens)} (esta ejecución: ${finder.costs.describe()})`);
+    console.log(`   Costo total: ${formatUsd(cost)}${emailsFound > 0 ? ` · ${formatUsd(cost / emailsFound)} por email encontrado` : ''}`);
+    if (failed > 0) {
+        console.log(`   🔁 Usa "node index.js retry" para reintentar las ${failed} búsquedas con error`);
+    }
+    if (finder.cache.used) {
+        console.log(`   💾 Caché: ${finder.cache.describe()}`);
+    }
+    console.log(`\n📁 Archivo de resultados: ${finder.outputFile}`);
+    console.log(`   💡 Los resultados se guardaron automáticamente durante el procesamiento`);
+
+    if (finder.budgetStop) {
+        console.log(`   ⛔ Detenido por presupuesto: usa "node index.js run --resume" para seguir`);
+        return EXIT_CODES.BUDGET;
+    }
+    return failed > 0 ? EXIT_CODES.INCOMPLETE : EXIT_CODES.OK;
+}
+
+/**
+ * Print what a dry run found: a line per lookup, one full prompt and the estimate
+ * @param {LinkedInEmailFinder} finder - Finder instance
+ * @param {Object} preview - Result of finder.previewConnections
+ * @returns {number} Exit code
+ */
+function printDryRun(finder, preview) {
+    const { entries, totals } = preview;
+    const shown = 20;
+
+    console.log(`\n🧪 Simulación: se buscarían ${entries.length} de ${preview.totalMissing} conexiones sin email\n`);
+    entries.slice(0, shown).forEach((entry, index) => {
+        const who = `${entry.name}${entry.company ? ` (${entry.company})` : ''}`;
+        if (entry.method === 'pattern') {
+            console.log(`   ${index + 1}. ${who} → patrón: ${entry.patternCandidate} (sin búsqueda ni IA)`);
+            return;
+        }
+        const cached = entry.llmCached ? ' · en caché' : entry.searchCached ? ' · búsqueda en caché' : '';
+        console.log(`   ${index + 1}. ${who} → ${entry.searchQuery} · ~${formatTokens(entry.estimatedPromptTokens + entry.estimatedCompletionTokens)} tokens${cached}`);
+    });
+    if (entries.length > shown) {
+        console.log(`   ... y ${entries.length - shown} más`);
+    }
+
+    const example = entries.find(entry => entry.messages);
+    if (example) {
+        console.log(`\n📝 Prompt para ${example.name}:`);
+        for (const message of example.messages) {
+            console.log(`--- ${message.role} ---\n${message.content.trim()}`);
+        }
+    }
+
+    const model = `${finder.llm.model}${finder.llm.isLocal() ? ', local: sin costo' : ''}`;
+    console.log('\n📊 Estimación (sin llamadas a ninguna API):');
+    console.log(`   Búsquedas: ${totals.lookups} (${totals.pattern} resueltas por patrón, sin llamadas)`);
+    console.log(`   Búsquedas web: ${totals.searches} (${totals.searchesCached} ya en caché)`);
+    console.log(`   Llamadas a la IA: ${totals.llmCalls} (${totals.llmCached} ya en caché)`);
+    console.log(`   Tokens estimados: ~${formatTokens(totals.promptTokens)} de entrada + ~${formatTokens(totals.completionTokens)} de salida`);
+    console.log(`   Costo estimado: ~${formatUsd(totals.cost)} (${model})`);
+    if (finder.costs.maxCost > 0 && totals.cost > finder.costs.maxCost) {
+        console.log(`   ⚠️ Supera --max-cost (${formatUsd(finder.costs.maxCost)}): la ejecución se detendría antes de terminar`);
+    }
+    console.log(`\n📁 Consultas y prompts de cada conexión: ${preview.file}`);
+    console.log('   💡 No se modificó el progreso ni el CSV de resultados');
+    return EXIT_CODES.OK;
+}
+
+/**
+ * run: search emails for the contacts that don't have one
+ * @param {LinkedInEmailFinder} finder - Finder instance
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<number>} Exit code
+ */
+async function runCommand(finder, options) {
+    console.log('🚀 LinkedIn Email Finder - Iniciando...\n');
+    requireLLM(finder);
+    const dryRun = finder.config.dryRun.enabled;
+
+    if (options.reset && dryRun) {
+        console.log('🔄 Simulación desde cero: el progreso no se borra');
+    } else if (options.reset) {
+        finder.resetProgress();
+        console.log('🔄 Progreso reseteado: empezando desde cero');
+    }
+    if (options.resume) {
+        console.log('🔄 Modo reanudación: continuando desde progreso anterior');
+    }
+    if (options.limit) {
+        console.log(`🎯 Modo muestra: procesando solo los primeros ${options.limit} registros sin email`);
+    }
+    console.log('');
+
+    const connections = await loadInputConnections(finder);
+    if (dryRun) {
+        return printDryRun(finder, await finder.previewConnections(connections, options.limit, Boolean(options.resume), false));
+    }
+    const results = await finder.processConnections(connections, options.limit, Boolean(options.resume), false);
+    return printRunSummary(finder, results);
+}
+
+/**
+ * retry: look up again only the contacts whose search ended in an error
+ * @param {LinkedInEmailFinder} finder - Finder instance
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<number>} Exit code
+ */
+async function retryCommand(finder, options) {
+    console.log('🚀 LinkedIn Email Finder - Iniciando...\n');
+    requireLLM(finder);
+    console.log('🔁 Modo reintento: reprocesando solo las búsquedas con error\n');
+
+    const connections = await loadInputConnections(finder);
+    if (finder.config.dryRun.enabled) {
+        return printDryRun(finder, await finder.previewConnections(connections, options.limit, true, true));
+    }
+    const results = await finder.processConnections(connections, options.limit, true, true);
+    return printRunSummary(finder, results);
+}
+
+/**
+ * status / report: progress and hit-rate report over the saved results
+ * @param {LinkedInEmailFinder} finder - Finder instance
+ * @param {Object} options - Parsed command line options (--json, --html)
+ * @returns {Promise<number>} Exit code
+ */
+async function statusCommand(finder, options) {
+    // Read-only: a run may be writing the store, and a legacy progress file is imported by run/retry.
+    // Results saved under an older key format still count (see storedKey); run/retry migrate them.
+    const progress = finder.loadProgress(true);
+    const savedKeys = new Set(progress.results.map(result => result.key));
+    const inputFile = finder.config.input.file;
+
+    // Remaining work needs the input file; without it the stored counts are still useful.
+    // Loaded quietly so --json output stays parseable.
+    let connections = null;
+    if (fs.existsSync(inputFile)) {
+        try {
+            connections = (await loadInput(inputFile, finder.config.input.format)).connections;
+        } catch (error) {
+            throw new CliError(error.message, EXIT_CODES.INPUT);
+        }
+    }
+
+    // With targeting filters, "remaining" means the contacts that would actually be searched
+    if (connections && finder.targeting.hasFilters) {
+        connections = finder.targeting.filter(connections).selected;
+    }
+
+    const report = buildReport(progress.results, {
+        connections,
+        keyOf: conn => finder.storedKey(conn, savedKeys),
+        startTime: progress.startTime,
+        lastUpdate: progress.lastUpdate,
+        pricePer1kTokens: finder.llm.isLocal() ? 0 : finder.config.llm.pricePer1kTokens,
+        topCompanies: finder.config.report.topCompanies
+    });
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return EXIT_CODES.OK;
+    }
+
+    if (options.html) {
+        fs.writeFileSync(finder.config.report.file, renderReportHtml(report));
+        console.log(`📄 Reporte guardado en ${finder.config.report.file}`);
+        return EXIT_CODES.OK;
+    }
+
+    console.log(`📊 Estado de ${finder.progressFile}${connections ? ` (entrada: ${inputFile})` : ''}`);
+    if (!connections) {
+        console.log(`   ⚠️ No se encontró ${inputFile}; no se pueden calcular los pendientes`);
+    }
+    if (connections && finder.targeting.hasFilters) {
+        console.log(`   🎯 Solo contactos que pasan los filtros (${finder.targeting.describe()})`);
+    }
+    if (progress.lastUpdate) {
+        console.log(`   Última actualización: ${new Date(progress.lastUpdate).toLocaleString()}`);
+    }
+    console.log(formatReportTable(report));
+    return EXIT_CODES.OK;
+}
+
+/**
+ * export: write the results as enriched contacts, a CRM profile or the results CSV
+ * @param {LinkedInEmailFinder} finder - Finder instance
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<number>} Exit code
+ */
+async function exportCommand(finder, options) {
+    // Regenerating the CSV only needs the stored results
+    if (options['rebuild-csv']) {
+        const count = await finder.rebuildCsvFromStore();
+        console.log(`📝 CSV regenerado desde ${finder.progressFile}: ${count} resultados en ${finder.outputFile}`);
+        return EXIT_CODES.OK;
+    }
+
+    const exportOptions = {};
+    if (options.mapping) exportOptions.mappingFile = options.mapping;
+    if (options['min-confidence']) exportOptions.minConfidence = options['min-confidence'];
+    if (options['only-found']) exportOptions.includeMissing = false;
+    if (options['include-missing']) exportOptions.includeMissing = true;
+    if (options['only-accepted']) exportOptions.onlyAccepted = true;
+
+    const profile = options.profile || finder.config.export.profile;
+    if (profile !== 'enriched' || exportOptions.mappingFile || finder.config.export.mappingFile) {
+        const stats = await finder.exportProfile(profile, exportOptions);
+        console.log(`📤 Exportados ${stats.written} contactos (${stats.profile}) a ${stats.file}`);
+        if (stats.skipped > 0) {
+            console.log(`   ${stats.skipped} resultados sin email (o por debajo de la confianza mínima o sin aceptar) omitidos; usa --include-missing para incluirlos`);
+        }
+        return EXIT_CODES.OK;
+    }
+
+    let stats;
+    try {
+        stats = await finder.exportEnriched(finder.config.input.file, finder.config.input.format, exportOptions);
+    } catch (error) {
+        throw new CliError(error.message, EXIT_CODES.INPUT);
+    }
+    console.log(`📤 Exportados ${stats.written} contactos a ${stats.file}`);
+    console.log(`   Con email original: ${stats.existing}`);
+    console.log(`   Con email encontrado: ${stats.found}`);
+    if (stats.belowThreshold > 0) {
+        console.log(`   Por debajo de la confianza mínima: ${stats.belowThreshold}`);
+    }
+    if (stats.unreviewed > 0) {
+        console.log(`   Sin aceptar en la revisión: ${stats.unreviewed} (usa "node index.js review")`);
+    }
+    console.log(`   Sin email: ${stats.missing}`);
+    return EXIT_CODES.OK;
+}
+
+/**
+ * reset: delete the progress file and the results CSV
+ * @param {LinkedInEmailFinder} finder - Finder instance
+ * @returns {Promise<number>} Exit code
+ */
+async function resetCommand(finder) {
+    finder.resetProgress();
+    console.log(`✅ Progreso reseteado (${finder.progressFile}, ${finder.outputFile})`);
+    return EXIT_CODES.OK;
+}
+
+/**
+ * validate: check configuration and input without searching anything
+ * @param {LinkedInEmailFinder} finder - Finder instance
+ * @returns {Promise<number>} Exit code: CONFIG or INPUT for the first kind of problem found
+ */
+async function validateCommand(finder) {
+    const config = finder.config;
+    let exitCode = EXIT_CODES.OK;
+    const fail = (message, code) => {
+        console.error(`❌ ${message}`);
+        if (exitCode === EXIT_CODES.OK) exitCode = code;
+    };
+
+    console.log('🔎 Verificando configuración...\n');
+
+    const llmError = finder.llm.validate();
+    if (llmError) {
+        fail(llmError, EXIT_CODES.CONFIG);
+    } else {
+        console.log(`✅ Modelo: ${finder.llm.model}${finder.llm.isLocal() ? ` (local: ${finder.llm.baseUrl})` : ''}`);
+    }
+    console.log(`✅ Búsqueda web: ${finder.searchProvider.name}`);
+    if (finder.cache.enabled) {
+        const entries = finder.cache.countEntries();
+        const ttl = config.cache.ttlHours > 0 ? `vencen a las ${config.cache.ttlHours} h` : 'sin vencimiento';
+        console.log(`✅ Caché: ${finder.cache.dir} (${entries.search} búsquedas, ${entries.llm} respuestas de IA, ${ttl})${finder.cache.offline ? ' · modo offline' : ''}`);
+    }
+
+    if (config.export.mappingFile) {
+        try {
+            loadMappingFile(config.export.mappingFile);
+            console.log(`✅ Mapeo de export: ${config.export.mappingFile}`);
+        } catch (error) {
+            fail(error.message, EXIT_CODES.CONFIG);
+        }
+    }
+
+    if (finder.delivery.enabled) {
+        try {
+            finder.delivery.loadTemplate();
+            console.log(`✅ Entrega: ${finder.delivery.url} (${finder.delivery.mode})`);
+        } catch (error) {
+            fail(error.message, EXIT_CODES.CONFIG);
+        }
+    }
+
+    // Read-only: validate checks the setup, it doesn't import a legacy progress file
+    const progress = finder.loadProgress(true);
+    console.log(`✅ Progreso: ${finder.progressFile} (${progress.results.length} resultados)`);
+
+    try {
+        const connections = await finder.loadConnections(config.input.file, config.input.format);
+        const missing = connections.filter(conn => !conn['Email']).length;
+        console.log(`✅ Entrada: ${missing} de ${connections.length} contactos sin email`);
+        if (connections.length === 0) {
+            fail(`${config.input.file} no tiene contactos`, EXIT_CODES.INPUT);
+        }
+        if (finder.targeting.hasFilters) {
+            const targeted = finder.targeting.filter(connections.filter(conn => !conn['Email'])).selected.length;
+            console.log(`✅ Filtros (${finder.targeting.describe()}): ${targeted} de ${missing} contactos sin email los cumplen`);
+            if (targeted === 0) {
+                console.log('   ⚠️ Ningún contacto cumple los filtros; revisa TARGET_* o las opciones de filtro');
+            }
+        }
+    } catch (error) {
+        fail(error.message, EXIT_CODES.INPUT);
+    }
+
+    console.log(exitCode === EXIT_CODES.OK ? '\n✅ Todo listo para ejecutar' : '\n❌ Corrige los errores anteriores antes de ejecutar');
+    return exitCode;
+}
+
+/**
+ * serve: local HTTP API for single lookups and background jobs, until Ctrl+C
+ * @param {LinkedInEmailFinder} finder - Finder instance
+ * @returns {Promise<number>} Exit code
+ */
+async function serveCommand(finder) {
+    console.log('🚀 LinkedIn Email Finder - Servidor\n');
+    requireLLM(finder);
+
+    const server = new LookupServer(finder);
+    server.on('log', ({ level, message }) => {
+        if (level === 'info') console.log(message);
+        else console.error(message);
+    });
+
+    let url;
+    try {
+        url = await server.start();
+    } catch (error) {
+        throw new CliError(`No se pudo iniciar el servidor: ${error.message}`, EXIT_CODES.CONFIG);
+    }
+    const { jobsDir, jobConcurrency } = finder.config.server;
+    console.log(`🌐 Escuchando en ${url} (trabajos en ${jobsDir}/, ${jobConcurrency} a la vez)`);
+    console.log('   Ctrl+C para detener; los trabajos en curso se reanudan al volver a iniciar\n');
+    server.resumeJobs();
+
+    await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+    console.log('\n⏹️ Deteniendo: esperando a que terminen las búsquedas en curso...');
+    await server.stop();
+    return EXIT_CODES.OK;
+}
+
+/**
+ * Print one result the way a reviewer needs to judge it
+ * @param {Object} result - Pending result from finder.reviewQueue (with its excerpts)
+ * @param {number} index - Position in the review, from 1
+ * @param {number} count - Results in this review
+ */
+function printReviewItem(result, index, count) {
+    const shorten = (text, max) => {
+        const flat = String(text || '').replace(/\s+/g, ' ').trim();
+        return flat.length > max ? `${flat.slice(0, max)}...` : flat;
+    };
+
+    console.log(`\n[${index}/${count}] ${result.name}${result.company ? ` · ${result.company}` : ''}${result.position ? ` · ${result.position}` : ''}`);
+    console.log(`   ✉️  ${result.email} (confianza ${result.confidence}${result.emailStatus ? `, validación: ${result.emailStatus}` : ''}, ${result.method === 'pattern' ? 'patrón de la empresa' : 'búsqueda + IA'})`);
+    console.log(`   🔗 Fuente: ${result.source || '(ninguna)'}${result.evidence ? ` · evidencia: ${result.evidence}` : ''}`);
+    console.log(`   💭 Razonamiento: ${shorten(result.reasoning || result.response, 400) || '(ninguno)'}`);
+    if (result.excerpts.length === 0) {
+        console.log('   🔍 Los resultados de búsqueda guardados no mencionan el email ni su dominio');
+    }
+    for (const item of result.excerpts) {
+        console.log(`   🔍 ${[item.title, item.url].filter(Boolean).join(' — ') || 'Resultados de búsqueda'}`);
+        console.log(`      "${shorten(item.snippet, 240)}"`);
+    }
+}
+
+/**
+ * review: walk through unreviewed MEDIUM/LOW results and accept, reject or correct each email
+ * @param {LinkedInEmailFinder} finder - Finder instance
+ * @param {Object} options - Parsed command line options (--limit)
+ * @returns {Promise<number>} Exit code
+ */
+async function reviewCommand(finder, options) {
+    const { pending, total } = finder.reviewQueue(options.limit);
+    if (total === 0) {
+        console.log(`✅ No hay resultados (${finder.config.review.confidence}) pendientes de revisión en ${finder.progressFile}`);
+        return EXIT_CODES.OK;
+    }
+
+    console.log(`📝 Revisión de ${finder.progressFile}: ${total} resultados (${finder.config.review.confidence}) sin revisar${pending.length < total ? `, se muestran ${pending.length}` : ''}`);
+    console.log('   a = aceptar · r = rechazar · e = corregir el email · s = saltar · q = salir');
+    console.log('   Cada decisión se guarda al momento; se puede salir y seguir después.');
+
+    // Lines are read through the iterator so piped answers aren't lost between prompts
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: Boolean(process.stdin.isTTY) });
+    const lines = rl[Symbol.asyncIterator]();
+    const ask = async prompt => {
+        process.stdout.write(prompt);
+        const { value, done } = await lines.next();
+        return done ? null : value.trim();
+    };
+
+    const counts = { accepted: 0, edited: 0, rejected: 0, skipped: 0 };
+    let quit = false;
+    try {
+        for (let i = 0; i < pending.length && !quit; i++) {
+            const result = pending[i];
+            printReviewItem(result, i + 1, pending.length);
+
+            let done = false;
+            while (!done) {
+                const answer = await ask('   ¿Decisión? [a/r/e/s/q] ');
+                const choice = answer === null ? 'q' : answer.toLowerCase();
+                try {
+                    if (choice === 'a') {
+                        await finder.recordReview(result.key, 'accepted');
+                        counts.accepted++;
+                        console.log('   ✅ Aceptado');
+                    } else if (choice === 'r') {
+                        await finder.recordReview(result.key, 'rejected');
+                        counts.rejected++;
+                        console.log('   🚫 Rechazado');
+                    } else if (choice === 'e') {
+                        const email = await ask('   Email correcto: ');
+                        if (email === null) {
+                            quit = true;
+                            break;
+                        }
+                        const updated = await finder.recordReview(result.key, 'edited', { email });
+                        counts.edited++;
+                        console.log(`   ✏️  Corregido: ${updated.email}${updated.emailStatus && updated.emailStatus !== 'valid' ? ` (validación: ${updated.emailStatus})` : ''}`);
+                    } else if (choice === 's') {
+                        counts.skipped++;
+                    } else if (choice === 'q') {
+                        quit = true;
+                    } else {
+                        console.log('   Opción inválida: responde a, r, e, s o q');
+                        continue;
+                    }
+                    done = true;
+                } catch (error) {
+                    console.log(`   ⚠️ ${error.message}`);
+                }
+            }
+        }
+    } finally {
+        rl.close();
+    }
+
+    const reviewed = counts.accepted + counts.edited + counts.rejected;
+    console.log(`\n📝 Revisados: ${reviewed} (${counts.accepted} aceptados, ${counts.edited} corregidos, ${counts.rejected} rechazados)${counts.skipped > 0 ? ` · ${counts.skipped} saltados` : ''}`);
+    const remaining = finder.reviewQueue().total;
+    if (remaining > 0) {
+        console.log(`   Quedan ${remaining} sin revisar: vuelve a ejecutar "node index.js review" para seguir`);
+    }
+    if (reviewed > 0) {
+        await finder.rebuildCsvFromStore();
+        console.log(`   📁 ${finder.outputFile} actualizado con las decisiones`);
+        console.log('   💡 "node index.js export --only-accepted" exporta solo los emails aceptados o corregidos');
+    }
+    return EXIT_CODES.OK;
+}
+
+const COMMAND_HANDLERS = {
+    run: runCommand,
+    retry: retryCommand,
+    status: statusCommand,
+    report: statusCommand,
+    export: exportCommand,
+    reset: resetCommand,
+    validate: validateCommand,
+    serve: serveCommand,
+    review: reviewCommand
+};
+
+/**
+ * Run a command
+ * @param {string} command - Command name (see COMMANDS in lib/cli.js)
+ * @param {LinkedInEmailFinder} finder - Finder instance
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<number>} Exit code
+ */
+async function executeCommand(command, finder, options) {
+    const handler = COMMAND_HANDLERS[command];
+    if (!handler) {
+        throw new CliError(`Comando desconocido: ${command}`, EXIT_CODES.USAGE);
+    }
+    return handler(finder, options);
+}
+
+module.exports = { executeCommand, COMMAND_HANDLERS };
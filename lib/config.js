@@ -0,0 +1,208 @@
+require('dotenv').config();
+
+/**
+ * Check whether a value is a plain object (not an array, null or class instance)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a plain object
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Deep merge configuration objects. Undefined values in the source are ignored
+ * so partial overrides don't wipe defaults.
+ * @param {Object} target - Base configuration
+ * @param {Object} source - Overrides
+ * @returns {Object} New merged configuration
+ */
+function mergeConfig(target, source) {
+    const merged = { ...target };
+    for (const [key, value] of Object.entries(source || {})) {
+        if (value === undefined) continue;
+        if (isPlainObject(value) && isPlainObject(merged[key])) {
+            merged[key] = mergeConfig(merged[key], value);
+        } else {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Parse a numeric environment value, keeping 0 as a valid setting
+ * @param {string} value - Raw environment value
+ * @param {number} defaultValue - Value used when unset or not a number
+ * @returns {number} Parsed number
+ */
+function parseNumber(value, defaultValue) {
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) ? defaultValue : parsed;
+}
+
+/**
+ * Build the runtime configuration from environment variables
+ * @param {Object} overrides - Values that take precedence over the environment
+ * @returns {Object} Configuration object grouped by subsystem
+ */
+function loadConfig(overrides = {}) {
+    const env = process.env;
+
+    const config = {
+        input: {
+            file: env.INPUT_FILE || 'Connections.csv',
+            format: env.INPUT_FORMAT || 'auto'
+        },
+        output: {
+            file: env.OUTPUT_FILE || 'email_search_results.csv'
+        },
+        targeting: {
+            company: env.TARGET_COMPANY || '',
+            position: env.TARGET_POSITION || '',
+            connectedAfter: env.TARGET_CONNECTED_AFTER || '',
+            connectedBefore: env.TARGET_CONNECTED_BEFORE || '',
+            includeFile: env.TARGET_INCLUDE_FILE || '',
+            excludeFile: env.TARGET_EXCLUDE_FILE || '',
+            priority: env.TARGET_PRIORITY || 'file',
+            // Empty uses the built-in ranking (see lib/targeting.js)
+            seniorityKeywords: (env.SENIORITY_KEYWORDS || '').split(',').map(k => k.trim()).filter(Boolean)
+        },
+        processing: {
+            concurrency: parseInt(env.CONCURRENCY) || 3
+        },
+        retry: {
+            maxRetries: parseNumber(env.RETRY_MAX_RETRIES, 3),
+            baseDelayMs: parseInt(env.RETRY_BASE_DELAY) || 1000,
+            maxDelayMs: parseInt(env.RETRY_MAX_DELAY) || 60000
+        },
+        rateLimits: {
+            searchRpm: parseNumber(env.SEARCH_RPM, 30),
+            llmRpm: parseNumber(env.LLM_RPM, 60),
+            llmTpm: parseNumber(env.LLM_TPM, 0)
+        },
+        search: {
+            provider: env.SEARCH_PROVIDER || 'duckduckgo',
+            timeout: parseInt(env.SEARCH_TIMEOUT) || 10000,
+            maxResults: parseInt(env.SEARCH_MAX_RESULTS) || 5,
+            searxngUrl: env.SEARXNG_URL || 'http://localhost:8080',
+            httpUrl: env.SEARCH_HTTP_URL || '',
+            httpMethod: env.SEARCH_HTTP_METHOD || 'GET',
+            httpQueryParam: env.SEARCH_HTTP_QUERY_PARAM || 'q',
+            httpResultsPath: env.SEARCH_HTTP_RESULTS_PATH || 'results',
+            httpApiKey: env.SEARCH_HTTP_API_KEY || '',
+            fixtureFile: env.SEARCH_FIXTURE_FILE || 'search_fixtures.json'
+        },
+        llm: {
+            model: env.LLM_MODEL || 'gpt-3.5-turbo',
+            baseUrl: env.LLM_BASE_URL || 'https://api.openai.com/v1',
+            apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || '',
+            temperature: parseNumber(env.LLM_TEMPERATURE, 0.3),
+            maxTokens: parseInt(env.LLM_MAX_TOKENS) || 800,
+            timeout: parseInt(env.LLM_TIMEOUT) || 60000,
+            fallbackModel: env.LLM_FALLBACK_MODEL || '',
+            fallbackBaseUrl: env.LLM_FALLBACK_BASE_URL || '',
+            jsonMode: env.LLM_JSON_MODE || 'json_schema',
+            // Per-model USD prices per 1K tokens ("model=input/output,..."), on top of the built-in table
+            prices: env.LLM_PRICES || '',
+            // Blended USD price per 1K tokens for models without a price (local models are free)
+            pricePer1kTokens: parseNumber(env.LLM_PRICE_PER_1K_TOKENS, 0.002)
+        },
+        budget: {
+            // Stop the run once it has spent this much (0 = no limit)
+            maxCost: parseNumber(env.MAX_COST, 0),
+            maxTokens: parseInt(env.MAX_TOKENS) || 0
+        },
+        patterns: {
+            enabled: env.PATTERN_INFERENCE !== 'off',
+            directMinSamples: parseInt(env.PATTERN_DIRECT_MIN_SAMPLES) || 3,
+            directMinConsistency: parseNumber(env.PATTERN_DIRECT_MIN_CONSISTENCY, 0.8)
+        },
+        domains: {
+            overridesFile: env.DOMAIN_OVERRIDES_FILE || 'domain_overrides.json',
+            cacheFile: env.DOMAIN_CACHE_FILE || 'domain_cache.json',
+            dnsLookup: env.DOMAIN_DNS_LOOKUP !== 'off',
+            dnsTimeout: parseInt(env.DOMAIN_DNS_TIMEOUT) || 3000,
+            guessTlds: (env.DOMAIN_GUESS_TLDS || 'com,com.ar,es,io,net').split(',').map(t => t.trim().replace(/^\./, '')).filter(Boolean)
+        },
+        validation: {
+            enabled: env.EMAIL_VALIDATION !== 'off',
+            dnsCheck: env.EMAIL_DNS_CHECK !== 'off',
+            dnsTimeout: parseInt(env.EMAIL_DNS_TIMEOUT) || 3000
+        },
+        evidence: {
+            // Check each model-extracted email against the retrieved search results
+            enabled: env.EVIDENCE_CHECK !== 'off',
+            // Highest confidence for addresses not in the results but built from the name on the company domain
+            guessMaxConfidence: (env.EVIDENCE_GUESS_MAX_CONFIDENCE || 'MEDIUM').toUpperCase(),
+            // Highest confidence for addresses with no support at all
+            unsupportedMaxConfidence: (env.EVIDENCE_UNSUPPORTED_MAX_CONFIDENCE || 'LOW').toUpperCase()
+        },
+        export: {
+            profile: (env.EXPORT_PROFILE || 'enriched').toLowerCase(),
+            mappingFile: env.EXPORT_MAPPING_FILE || '',
+            // Empty file / includeMissing use each profile's default
+            file: env.EXPORT_FILE || '',
+            minConfidence: (env.EXPORT_MIN_CONFIDENCE || '').toUpperCase(),
+            includeMissing: env.EXPORT_INCLUDE_MISSING ? env.EXPORT_INCLUDE_MISSING !== 'off' : null,
+            // Only emails a reviewer accepted or corrected (see the review command)
+            onlyAccepted: env.EXPORT_ONLY_ACCEPTED === 'on'
+        },
+        review: {
+            // Confidence levels that go through review
+            confidence: (env.REVIEW_CONFIDENCE || 'MEDIUM,LOW').toUpperCase(),
+            // Recorded with each decision
+            reviewer: env.REVIEWER || env.USER || env.USERNAME || ''
+        },
+        delivery: {
+            url: env.DELIVERY_URL || '',
+            mode: env.DELIVERY_MODE || 'webhook',
+            method: env.DELIVERY_METHOD || 'POST',
+            token: env.DELIVERY_TOKEN || '',
+            authHeader: env.DELIVERY_AUTH_HEADER || '',
+            templateFile: env.DELIVERY_TEMPLATE_FILE || '',
+            batchSize: parseInt(env.DELIVERY_BATCH_SIZE) || 1,
+            flushIntervalMs: parseNumber(env.DELIVERY_FLUSH_INTERVAL, 5000),
+            timeout: parseInt(env.DELIVERY_TIMEOUT) || 10000,
+            onlyFound: env.DELIVERY_ONLY_FOUND !== 'off',
+            minConfidence: (env.DELIVERY_MIN_CONFIDENCE || '').toUpperCase(),
+            deadLetterFile: env.DELIVERY_DEAD_LETTER_FILE || 'delivery_failed.jsonl'
+        },
+        cache: {
+            enabled: env.CACHE !== 'off',
+            dir: env.CACHE_DIR || 'response_cache',
+            // 0 keeps entries forever
+            ttlHours: parseNumber(env.CACHE_TTL_HOURS, 720),
+            // Serve only cached responses: no web search, LLM or DNS traffic
+            offline: env.CACHE_OFFLINE === 'on'
+        },
+        dryRun: {
+            enabled: false,
+            // Queries and prompts of a --dry-run, one JSON line per connection
+            file: env.DRY_RUN_FILE || 'dry_run.jsonl'
+        },
+        report: {
+            file: env.REPORT_FILE || 'report.html',
+            topCompanies: parseInt(env.REPORT_TOP_COMPANIES) || 10
+        },
+        store: {
+            file: env.PROGRESS_FILE || 'search_progress.jsonl',
+            fsync: env.STORE_FSYNC !== 'off',
+            compactRatio: parseFloat(env.STORE_COMPACT_RATIO) || 0.3
+        },
+        server: {
+            host: env.SERVER_HOST || '127.0.0.1',
+            port: parseInt(env.SERVER_PORT) || 3000,
+            // Optional bearer token required on every request
+            token: env.SERVER_TOKEN || '',
+            // Each job keeps its upload, progress store and results CSV in <jobsDir>/<id>/
+            jobsDir: env.SERVER_JOBS_DIR || 'jobs',
+            // Bulk jobs that run at once; the rest wait in the queue
+            jobConcurrency: parseInt(env.SERVER_JOB_CONCURRENCY) || 1,
+            maxUploadMb: parseNumber(env.SERVER_MAX_UPLOAD_MB, 10)
+        }
+    };
+
+    return mergeConfig(config, overrides);
+}
+
+module.exports = { loadConfig, mergeConfig, parseNumber };
@@ -0,0 +1,169 @@
+// USD per 1K tokens (input / output) for hosted OpenAI models; LLM_PRICES adds or overrides entries
+const DEFAULT_PRICES = {
+    'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+    'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+    'gpt-4o': { input: 0.0025, output: 0.01 },
+    'gpt-4.1-nano': { input: 0.0001, output: 0.0004 },
+    'gpt-4.1-mini': { input: 0.0004, output: 0.0016 },
+    'gpt-4.1': { input: 0.002, output: 0.008 },
+    'gpt-4-turbo': { input: 0.01, output: 0.03 },
+    'gpt-4': { input: 0.03, output: 0.06 }
+};
+
+/**
+ * Parse a price table: "model=input/output" or "model=price" entries separated by commas
+ * @param {string} spec - e.g. "gpt-4o-mini=0.00015/0.0006,mi-modelo=0.001"
+ * @returns {Object} { model: { input, output } } (USD per 1K tokens)
+ */
+function parsePriceTable(spec) {
+    const prices = {};
+    for (const entry of String(spec || '').split(',').map(e => e.trim()).filter(Boolean)) {
+        const match = /^([^=]+)=([\d.]+)(?:\/([\d.]+))?$/.exec(entry);
+        if (!match) {
+            throw new Error(`Precio inválido en LLM_PRICES: ${entry} (usa modelo=entrada/salida en USD por 1000 tokens)`);
+        }
+        const input = parseFloat(match[2]);
+        prices[match[1].trim().toLowerCase()] = { input, output: match[3] ? parseFloat(match[3]) : input };
+    }
+    return prices;
+}
+
+/**
+ * Format a USD amount with enough decimals for sub-cent costs
+ * @param {number|null} amount - USD
+ * @returns {string} e.g. "US$0.0042", "US$1.25", or "-" if unknown
+ */
+function formatUsd(amount) {
+    if (amount === null || amount === undefined) return '-';
+    return `US$${amount.toFixed(amount > 0 && amount < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Format a token count compactly
+ * @param {number} tokens - Token count
+ * @returns {string} e.g. "950", "12.3k", "1.2M"
+ */
+function formatTokens(tokens) {
+    if (tokens >= 1e6) return `${(tokens / 1e6).toFixed(1)}M`;
+    if (tokens >= 1e3) return `${(tokens / 1e3).toFixed(1)}k`;
+    return String(tokens);
+}
+
+/**
+ * Prices LLM calls per model and keeps the running totals of a run,
+ * so the run can stop once it reaches its token or cost budget.
+ *
+ * Model names are matched by longest prefix, so dated snapshots
+ * ("gpt-4o-mini-2024-07-18") use their family's price. Models without a
+ * price fall back to the blended LLM_PRICE_PER_1K_TOKENS; calls to local
+ * servers and cached responses are free.
+ */
+class CostTracker {
+    /**
+     * @param {Object} llmConfig - LLM configuration section (prices as a LLM_PRICES string or object, pricePer1kTokens)
+     * @param {Object} budget - Budget configuration section ({ maxCost, maxTokens }, 0 = no limit)
+     */
+    constructor(llmConfig = {}, budget = {}) {
+        const prices = typeof llmConfig.prices === 'string' ? parsePriceTable(llmConfig.prices) : llmConfig.prices;
+        this.prices = { ...DEFAULT_PRICES, ...(prices || {}) };
+        this.defaultPrice = llmConfig.pricePer1kTokens || 0;
+        this.maxCost = budget.maxCost || 0;
+        this.maxTokens = budget.maxTokens || 0;
+        this.tokens = 0;
+        this.cost = 0;
+    }
+
+    /**
+     * Price of a model
+     * @param {string} model - Model name as reported by the API
+     * @returns {Object} { input, output } in USD per 1K tokens
+     */
+    priceFor(model) {
+        const name = String(model || '').toLowerCase();
+        const match = Object.keys(this.prices)
+            .filter(prefix => name === prefix || name.startsWith(`${prefix}-`))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? this.prices[match] : { input: this.defaultPrice, output: this.defaultPrice };
+    }
+
+    /**
+     * Token usage and cost of one LLM call
+     * @param {Object} completion - Completion from LLMBackend.complete ({ model, usage, cached })
+     * @param {boolean} local - Whether the call went to a local server
+     * @returns {Object} { model, promptTokens, completionTokens, totalTokens, cost, cached }
+     */
+    callUsage(completion, local = false) {
+        const usage = completion.usage || {};
+        const promptTokens = usage.prompt_tokens || 0;
+        const completionTokens = usage.completion_tokens || 0;
+        const totalTokens = usage.total_tokens || promptTokens + completionTokens;
+        const cached = Boolean(completion.cached);
+
+        let cost = 0;
+        if (!cached && !local) {
+            const price = this.priceFor(completion.model);
+            cost = (promptTokens / 1000) * price.input + (completionTokens / 1000) * price.output;
+            // Some servers only report a total
+            if (cost === 0 && totalTokens > 0) cost = (totalTokens / 1000) * price.input;
+        }
+
+        return {
+            model: completion.model || '',
+            promptTokens,
+            completionTokens,
+            totalTokens,
+            cost: Math.round(cost * 1e6) / 1e6,
+            cached
+        };
+    }
+
+    /**
+     * Start a new run with zeroed totals
+     */
+    reset() {
+        this.tokens = 0;
+        this.cost = 0;
+    }
+
+    /**
+     * Add a finished result to the running totals
+     * @param {Object} result - Search result with tokens and cost
+     */
+    add(result) {
+        this.tokens += result.tokens || 0;
+        this.cost += result.cost || 0;
+    }
+
+    /**
+     * Why the budget is used up
+     * @returns {string|null} Spanish reason, or null while there is budget left
+     */
+    exceededReason() {
+        if (this.maxCost > 0 && this.cost >= this.maxCost) {
+            return `se alcanzó el presupuesto de ${formatUsd(this.maxCost)} (gastado: ${formatUsd(this.cost)})`;
+        }
+        if (this.maxTokens > 0 && this.tokens >= this.maxTokens) {
+            return `se alcanzó el límite de ${formatTokens(this.maxTokens)} tokens (usados: ${formatTokens(this.tokens)})`;
+        }
+        return null;
+    }
+
+    /**
+     * @returns {boolean} True once the token or cost budget is reached
+     */
+    get exceeded() {
+        return this.exceededReason() !== null;
+    }
+
+    /**
+     * Running totals, for the progress bar
+     * @returns {string} e.g. "12.3k tokens · US$0.0123 / US$1.00"
+     */
+    describe() {
+        const tokens = `${formatTokens(this.tokens)}${this.maxTokens > 0 ? `/${formatTokens(this.maxTokens)}` : ''} tokens`;
+        const cost = `${formatUsd(this.cost)}${this.maxCost > 0 ? ` / ${formatUsd(this.maxCost)}` : ''}`;
+        return `${tokens} · ${cost}`;
+    }
+}
+
+module.exports = { CostTracker, parsePriceTable, formatUsd, formatTokens, DEFAULT_PRICES };
@@ -0,0 +1,266 @@
+const fs = require('fs');
+
+/**
+ * Incremental CSV tokenizer (RFC 4180 plus the quirks of real exports).
+ *
+ * Handles quoted fields with embedded commas and newlines, escaped "" quotes,
+ * a leading BOM and LF, CRLF or CR line endings. Chunks can be split anywhere,
+ * including in the middle of a quoted field or a CRLF pair. Each record keeps
+ * the line number it started on so problems can be reported precisely.
+ */
+class CsvTokenizer {
+    /**
+     * @param {Object} options - { delimiter: ',' }
+     */
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.fields = [];
+        this.field = '';
+        this.inQuotes = false;
+        this.quoteClosed = false;
+        this.maybeEscaped = false;
+        this.pendingCR = false;
+        this.started = false;
+        this.line = 1;
+        this.recordLine = 1;
+    }
+
+    /**
+     * Feed a chunk of text
+     * @param {string} chunk - Decoded text
+     * @returns {Array<Object>} Completed records: { fields, line }
+     */
+    push(chunk) {
+        const records = [];
+        let text = chunk;
+
+        if (!this.started && text.length > 0) {
+            this.started = true;
+            if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+        }
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            // A CR that ended the previous chunk already closed the line
+            if (this.pendingCR) {
+                this.pendingCR = false;
+                if (char === '\n') continue;
+            }
+
+            if (this.inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        this.field += '"';
+                        i++;
+                    } else if (i + 1 === text.length) {
+                        // Can't tell yet whether this is "" split across chunks
+                        this.inQuotes = false;
+                        this.quoteClosed = true;
+                        this.maybeEscaped = true;
+                    } else {
+                        this.inQuotes = false;
+                        this.quoteClosed = true;
+                    }
+                } else if (char === '\r' || char === '\n') {
+                    this.field += '\n';
+                    this.line++;
+                    if (char === '\r') {
+                        if (text[i + 1] === '\n') i++;
+                        else if (i + 1 === text.length) this.pendingCR = true;
+                    }
+                } else {
+                    this.field += char;
+                }
+                continue;
+            }
+
+            if (this.maybeEscaped) {
+                this.maybeEscaped = false;
+                if (char === '"') {
+                    this.field += '"';
+                    this.inQuotes = true;
+                    this.quoteClosed = false;
+                    continue;
+                }
+            }
+
+            if (char === '"' && this.field === '' && !this.quoteClosed) {
+                this.inQuotes = true;
+            } else if (char === this.delimiter) {
+                this.endField();
+            } else if (char === '\r' || char === '\n') {
+                records.push(this.endRecord());
+                this.line++;
+                this.recordLine = this.line;
+                if (char === '\r') {
+                    if (text[i + 1] === '\n') i++;
+                    else if (i + 1 === text.length) this.pendingCR = true;
+                }
+            } else {
+                // Stray quotes inside unquoted fields and text after a closing quote are kept as-is
+                this.field += char;
+            }
+        }
+
+        return records.filter(Boolean);
+    }
+
+    /**
+     * Flush the last record once the input is exhausted
+     * @returns {Array<Object>} Remaining records; an unterminated quoted field is flagged with `error`
+     */
+    end() {
+        const unterminated = this.inQuotes;
+        this.maybeEscaped = false;
+        const record = this.endRecord();
+        if (!record) return [];
+        if (unterminated) {
+            record.error = 'comillas sin cerrar';
+        }
+        return [record];
+    }
+
+    /**
+     * Close the current field
+     */
+    endField() {
+        this.fields.push(this.quoteClosed ? this.field : this.field.trim());
+        this.field = '';
+        this.quoteClosed = false;
+    }
+
+    /**
+     * Close the current record
+     * @returns {Object|null} { fields, line }, or null for a blank line
+     */
+    endRecord() {
+        const blank = this.fields.length === 0 && this.field === '' && !this.quoteClosed && !this.inQuotes;
+        this.endField();
+        const record = blank ? null : { fields: this.fields, line: this.recordLine };
+        this.fields = [];
+        this.inQuotes = false;
+        return record;
+    }
+}
+
+/**
+ * Stream a CSV file record by record
+ * @param {string} filePath - Path to the CSV file
+ * @param {Function} onRecord - (record: { fields, line, error? }) => boolean|void; return false to stop reading
+ * @param {Object} options - Tokenizer options
+ * @returns {Promise<void>} Resolves once the file is read (or reading was stopped)
+ */
+function readCsvRecords(filePath, onRecord, options = {}) {
+    return new Promise((resolve, reject) => {
+        const tokenizer = new CsvTokenizer(options);
+        const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+        let stopped = false;
+
+        const stop = (error) => {
+            stopped = true;
+            stream.destroy();
+            if (error) reject(error);
+            else resolve();
+        };
+
+        const emit = (records) => {
+            for (const record of records) {
+                try {
+                    if (onRecord(record) === false) return stop();
+                } catch (error) {
+                    return stop(error);
+                }
+            }
+        };
+
+        stream
+            .on('data', (chunk) => {
+                if (!stopped) emit(tokenizer.push(chunk));
+            })
+            .on('end', () => {
+                if (stopped) return;
+                emit(tokenizer.end());
+                if (!stopped) resolve();
+            })
+            .on('error', reject);
+    });
+}
+
+/**
+ * Stream a CSV table whose header row may be preceded by free-form lines.
+ *
+ * The header is the first record accepted by `isHeader`; everything before it
+ * is counted as preamble. Rows whose column count doesn't match the header are
+ * reported as malformed with their line number instead of being dropped
+ * silently.
+ *
+ * @param {string} filePath - Path to the CSV file
+ * @param {Function} isHeader - (fields) => boolean
+ * @param {Object} options - Tokenizer options
+ * @returns {Promise<Object>} { headers, headerLine, rows: [{ row, line }], malformed: [{ line, reason }], preambleLines }
+ */
+async function readCsvTable(filePath, isHeader, options = {}) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`El archivo ${filePath} no existe`);
+    }
+
+    const result = { headers: null, headerLine: null, rows: [], malformed: [], preambleLines: 0 };
+
+    await readCsvRecords(filePath, (record) => {
+        if (!result.headers) {
+            if (isHeader(record.fields)) {
+                result.headers = record.fields.map(header => header.trim());
+                result.headerLine = record.line;
+            } else {
+                result.preambleLines++;
+            }
+            return;
+        }
+
+        const { fields, line } = record;
+        if (fields.every(field => field === '')) return;
+
+        if (record.error) {
+            result.malformed.push({ line, reason: record.error });
+            return;
+        }
+
+        const expected = result.headers.length;
+        const extra = fields.slice(expected).filter(field => field !== '');
+        // Some exports drop the trailing empty column; anything shorter has shifted columns
+        if (extra.length > 0 || fields.length < expected - 1) {
+            result.malformed.push({ line, reason: `${fields.length} columnas, se esperaban ${expected}` });
+            return;
+        }
+
+        const row = {};
+        result.headers.forEach((header, index) => {
+            row[header] = fields[index] || '';
+        });
+        result.rows.push({ row, line });
+    }, options);
+
+    if (!result.headers) {
+        throw new Error('No se pudo encontrar el encabezado del CSV');
+    }
+
+    return result;
+}
+
+/**
+ * Read the first records of a CSV file (for format detection)
+ * @param {string} filePath - Path to the CSV file
+ * @param {number} limit - Maximum number of records
+ * @returns {Promise<Array<Array<string>>>} Fields of each record
+ */
+async function peekCsvRecords(filePath, limit = 50) {
+    const records = [];
+    await readCsvRecords(filePath, (record) => {
+        records.push(record.fields);
+        return records.length < limit;
+    });
+    return records;
+}
+
+module.exports = { CsvTokenizer, readCsvRecords, readCsvTable, peekCsvRecords };
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const dns = require('dns');
+
+// Legal-form suffixes, matched after punctuation has been turned into spaces ("S.A." -> "s a")
+const LEGAL_SUFFIXES = [
+    's a b de c v', 's a de c v', 's de r l de c v', 's a u', 's a s', 's r l', 's l u', 's l', 's a', 's c', 's p a',
+    'sociedad anonima',
+    'incorporated', 'corporation', 'limited', 'company',
+    'gmbh', 'inc', 'llc', 'llp', 'ltd', 'ltda', 'plc', 'corp', 'co', 'ag', 'bv', 'nv', 'oy', 'ab',
+    'sa', 'sau', 'sas', 'srl', 'sl', 'slu', 'spa', 'sarl', 'pty', 'kg', 'se', 'sc'
+];
+
+/**
+ * Normalize a company name: fold accents, spell out ampersands, drop
+ * punctuation and legal-form suffixes
+ * ("Banco Santander S.A." -> "banco santander", "Procter & Gamble Co." -> "procter and gamble")
+ * @param {string} company - Company name
+ * @returns {string} Normalized name (lowercase words separated by single spaces)
+ */
+function normalizeCompanyName(company) {
+    let name = String(company || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/\([^)]*\)/g, ' ')           // "(Argentina)" and similar qualifiers
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+
+    // Strip trailing legal suffixes, repeatedly ("Foo Holdings Inc Ltd")
+    let stripped = true;
+    while (stripped) {
+        stripped = false;
+        for (const suffix of LEGAL_SUFFIXES) {
+            if (name.endsWith(` ${suffix}`) && name.length > suffix.length + 1) {
+                name = name.slice(0, -suffix.length - 1).trim();
+                stripped = true;
+                break;
+            }
+        }
+    }
+    return name;
+}
+
+/**
+ * Domain labels to try for a company name
+ * @param {string} company - Company name
+ * @returns {Array<string>} Slugs such as "mercadolibre", "proctergamble"
+ */
+function companySlugs(company) {
+    const name = normalizeCompanyName(company);
+    if (!name) return [];
+    const slugs = [name.replace(/\s+/g, ''), name.replace(/\band\b/g, '').replace(/\s+/g, '')];
+    return Array.from(new Set(slugs.filter(Boolean)));
+}
+
+/**
+ * Resolves company names to email domains.
+ *
+ * Resolution order:
+ *   1. override   - user-maintained JSON/CSV map
+ *   2. connections - domain seen in emails of existing connections at the company
+ *   3. cache      - previously resolved mapping from the cache file
+ *   4. dns        - first slug + TLD guess that has MX or A records (then cached)
+ *   5. guess      - slug + first TLD, unverified
+ */
+class DomainResolver {
+    /**
+     * @param {Object} config - Domain configuration section (see lib/config.js)
+     * @param {Object} dnsResolver - Object with resolveMx/resolve4 (defaults to node's dns.promises)
+     */
+    constructor(config = {}, dnsResolver = null) {
+        this.config = config;
+        this.tlds = config.guessTlds || ['com'];
+        this.dnsResolver = dnsResolver || new dns.promises.Resolver({ timeout: config.dnsTimeout || 3000, tries: 1 });
+        this.emailPatterns = null;
+        this.overrides = null;
+        this.cache = null;
+        this.onWarning = () => {};
+    }
+
+    /**
+     * Use domains learned from existing connection emails
+     * @param {EmailPatternModel} model - Pattern model trained on connections
+     */
+    useEmailPatterns(model) {
+        this.emailPatterns = model;
+    }
+
+    /**
+     * Load the override map (JSON object or "company,domain" CSV), keyed by normalized name
+     * @returns {Map<string, string>} Overrides
+     */
+    loadOverrides() {
+        if (this.overrides) return this.overrides;
+        this.overrides = new Map();
+
+        const filePath = this.config.overridesFile;
+        if (!filePath || !fs.existsSync(filePath)) return this.overrides;
+
+        try {
+            const content = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+            let entries;
+            if (filePath.toLowerCase().endsWith('.csv')) {
+                entries = content.split(/\r?\n/)
+                    .map(line => line.split(',').map(v => v.replace(/^"|"$/g, '').trim()))
+                    .filter(([company, domain]) => company && domain && domain.includes('.'));
+            } else {
+                entries = Object.entries(JSON.parse(content));
+            }
+
+            for (const [company, domain] of entries) {
+                this.overrides.set(normalizeCompanyName(company), String(domain).toLowerCase().trim());
+            }
+        } catch (error) {
+            this.onWarning(`⚠️ Error cargando overrides de dominios (${filePath}): ${error.message}`);
+        }
+        return this.overrides;
+    }
+
+    /**
+     * Load the resolved-domain cache file
+     * @returns {Object} Cache entries keyed by normalized name: { domain, method, resolvedAt }
+     */
+    loadCache() {
+        if (this.cache) return this.cache;
+        this.cache = {};
+
+        const filePath = this.config.cacheFile;
+        try {
+            if (filePath && fs.existsSync(filePath)) {
+                this.cache = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            }
+        } catch (error) {
+            this.onWarning(`⚠️ Error cargando caché de dominios (${filePath}): ${error.message}`);
+        }
+        return this.cache;
+    }
+
+    /**
+     * Persist the cache with a write-then-rename so a crash never leaves a half-written file
+     */
+    saveCache() {
+        const filePath = this.config.cacheFile;
+        if (!filePath || !this.cache) return;
+
+        try {
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(this.cache, null, 2));
+            fs.renameSync(tmpPath, filePath);
+        } catch (error) {
+            this.onWarning(`⚠️ Error guardando caché de dominios: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check whether a domain can receive mail (MX, or A as implicit MX)
+     * @param {string} domain - Domain to check
+     * @returns {Promise<boolean>} True if DNS has MX or A records
+     */
+    async domainExists(domain) {
+        try {
+            const mx = await this.dnsResolver.resolveMx(domain);
+            if (mx && mx.length > 0) return true;
+        } catch (error) {
+            // Fall through to the A record lookup
+        }
+        try {
+            const a = await this.dnsResolver.resolve4(domain);
+            return Boolean(a && a.length > 0);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Resolve a company name to an email domain
+     * @param {string} company - Company name
+     * @returns {Promise<Object>} { domain, method } - method is override, connections, cache, dns, guess or none
+     */
+    async resolve(company) {
+        const key = normalizeCompanyName(company);
+        if (!key) return { domain: '', method: 'none' };
+
+        const override = this.loadOverrides().get(key);
+        if (override) return { domain: override, method: 'override' };
+
+        const stats = this.emailPatterns && this.emailPatterns.getCompanyStats(company);
+        if (stats && stats.domains.size > 0) {
+            const [domain] = Array.from(stats.domains).sort((a, b) => b[1] - a[1])[0];
+            return { domain, method: 'connections' };
+        }
+
+        const cached = this.loadCache()[key];
+        if (cached && cached.domain) return { domain: cached.domain, method: 'cache' };
+
+        const slugs = companySlugs(company);
+        if (slugs.length === 0) return { domain: '', method: 'none' };
+
+        if (this.config.dnsLookup) {
+            for (const slug of slugs) {
+                for (const tld of this.tlds) {
+                    const domain = `${slug}.${tld}`;
+                    if (await this.domainExists(domain)) {
+                        this.cache[key] = { domain, method: 'dns', resolvedAt: new Date().toISOString() };
+                        this.saveCache();
+                        return { domain, method: 'dns' };
+                    }
+                }
+            }
+        }
+
+        return { domain: `${slugs[0]}.${this.tlds[0]}`, method: 'guess' };
+    }
+}
+
+module.exports = { DomainResolver, normalizeCompanyName, companySlugs, LEGAL_SUFFIXES };
@@ -0,0 +1,205 @@
+const { normalizeCompanyName } = require('./domain-resolver');
+const { FREEMAIL_DOMAINS } = require('./email-validator');
+const { emailNameTokens } = require('./name-normalizer');
+
+/**
+ * Company email pattern inference.
+ *
+ * Mines connections that already have an email to learn, per company, which
+ * domain and local-part format (first.last@, flast@, first@...) is used, and
+ * generates a deterministic candidate for other people at the same company.
+ */
+
+// Ordered from most to least specific so ambiguous local parts get the richer pattern
+const PATTERNS = [
+    { name: 'first.last', build: (f, l) => f && l && `${f}.${l}` },
+    { name: 'first_last', build: (f, l) => f && l && `${f}_${l}` },
+    { name: 'first-last', build: (f, l) => f && l && `${f}-${l}` },
+    { name: 'firstlast', build: (f, l) => f && l && `${f}${l}` },
+    { name: 'last.first', build: (f, l) => f && l && `${l}.${f}` },
+    { name: 'lastfirst', build: (f, l) => f && l && `${l}${f}` },
+    { name: 'f.last', build: (f, l) => f && l && `${f[0]}.${l}` },
+    { name: 'flast', build: (f, l) => f && l && `${f[0]}${l}` },
+    { name: 'first.l', build: (f, l) => f && l && `${f}.${l[0]}` },
+    { name: 'firstl', build: (f, l) => f && l && `${f}${l[0]}` },
+    { name: 'lastf', build: (f, l) => f && l && `${l}${f[0]}` },
+    { name: 'first', build: (f) => f },
+    { name: 'last', build: (f, l) => l }
+];
+
+/**
+ * Normalize a company name into a grouping key, so "Acme Inc" and "ACME, Inc." share stats
+ * @param {string} company - Company name
+ * @returns {string} Key
+ */
+function companyKey(company) {
+    return normalizeCompanyName(company);
+}
+
+/**
+ * Find the key with the highest count in a Map
+ * @param {Map<string, number>} counts - Counts
+ * @returns {Array} [key, count] or [null, 0]
+ */
+function topEntry(counts) {
+    let best = [null, 0];
+    for (const entry of counts) {
+        if (entry[1] > best[1]) best = entry;
+    }
+    return best;
+}
+
+class EmailPatternModel {
+    /**
+     * @param {Object} config - Pattern configuration section (see lib/config.js)
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.companies = new Map();
+    }
+
+    /**
+     * Build a model from loaded connections
+     * @param {Array} connections - Normalized connection objects
+     * @param {Object} config - Pattern configuration section
+     * @returns {EmailPatternModel} Trained model
+     */
+    static fromConnections(connections, config = {}) {
+        const model = new EmailPatternModel(config);
+        for (const conn of connections) {
+            model.addSample(conn['First Name'], conn['Last Name'], conn['Company'], conn['Email']);
+        }
+        return model;
+    }
+
+    /**
+     * Detect which pattern produced a local part
+     * @param {string} localPart - Email local part
+     * @param {string} firstName - First name
+     * @param {string} lastName - Last name
+     * @returns {Object|null} { pattern, lastVariant } or null if none matches
+     */
+    detectPattern(localPart, firstName, lastName) {
+        const { first, lastVariants } = emailNameTokens(firstName, lastName);
+        const local = localPart.toLowerCase();
+
+        for (const pattern of PATTERNS) {
+            for (const [variant, last] of Object.entries(lastVariants)) {
+                if (pattern.build(first, last) === local) {
+                    return { pattern: pattern.name, lastVariant: variant };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Record a known email for a person at a company
+     * @param {string} firstName - First name
+     * @param {string} lastName - Last name
+     * @param {string} company - Company name
+     * @param {string} email - Known email address
+     */
+    addSample(firstName, lastName, company, email) {
+        const key = companyKey(company);
+        const address = String(email || '').trim().toLowerCase();
+        const at = address.lastIndexOf('@');
+        if (!key || at <= 0) return;
+
+        const localPart = address.slice(0, at);
+        const domain = address.slice(at + 1);
+        // Personal mailbox providers say nothing about a company's address format
+        if (!domain.includes('.') || FREEMAIL_DOMAINS.has(domain)) return;
+
+        if (!this.companies.has(key)) {
+            this.companies.set(key, { samples: 0, domains: new Map(), patterns: new Map(), lastVariants: new Map() });
+        }
+        const stats = this.companies.get(key);
+        stats.samples++;
+        stats.domains.set(domain, (stats.domains.get(domain) || 0) + 1);
+
+        const detected = this.detectPattern(localPart, firstName, lastName);
+        if (detected) {
+            stats.patterns.set(detected.pattern, (stats.patterns.get(detected.pattern) || 0) + 1);
+
+            // Only compound surnames tell us whether the company uses the full or first surname
+            const { lastVariants } = emailNameTokens(firstName, lastName);
+            if (lastVariants.full !== lastVariants.first) {
+                stats.lastVariants.set(detected.lastVariant, (stats.lastVariants.get(detected.lastVariant) || 0) + 1);
+            }
+        }
+    }
+
+    /**
+     * Learned statistics for a company
+     * @param {string} company - Company name
+     * @returns {Object|null} { samples, domains, patterns, lastVariants } or null
+     */
+    getCompanyStats(company) {
+        return this.companies.get(companyKey(company)) || null;
+    }
+
+    /**
+     * Generate the most likely email for a person at a known company
+     * @param {string} firstName - First name
+     * @param {string} lastName - Last name
+     * @param {string} company - Company name
+     * @returns {Object|null} { email, domain, pattern, matches, samples, consistency, confidence } or null
+     */
+    generateCandidate(firstName, lastName, company) {
+        const stats = this.getCompanyStats(company);
+        if (!stats) return null;
+
+        const [domain] = topEntry(stats.domains);
+        const [patternName, matches] = topEntry(stats.patterns);
+        if (!domain || !patternName) return null;
+
+        const { first, lastVariants } = emailNameTokens(firstName, lastName);
+        const [variant] = topEntry(stats.lastVariants);
+        const pattern = PATTERNS.find(p => p.name === patternName);
+        const localPart = pattern.build(first, lastVariants[variant || 'full']);
+        if (!localPart) return null;
+
+        // Consistency counts every sample at the company, including ones no pattern explained
+        const consistency = matches / stats.samples;
+
+        return {
+            email: `${localPart}@${domain}`,
+            domain,
+            pattern: patternName,
+            matches,
+            samples: stats.samples,
+            consistency,
+            confidence: this.confidenceFor(matches, consistency)
+        };
+    }
+
+    /**
+     * Map pattern evidence to a confidence level
+     * @param {number} matches - Samples that followed the pattern
+     * @param {number} consistency - Share of samples that followed the pattern
+     * @returns {string} HIGH, MEDIUM or LOW
+     */
+    confidenceFor(matches, consistency) {
+        if (matches >= 3 && consistency >= 0.8) return 'HIGH';
+        if (matches >= 2 && consistency >= 0.6) return 'MEDIUM';
+        return 'LOW';
+    }
+
+    /**
+     * Whether a candidate is strong enough to skip the search and LLM call
+     * @param {Object} candidate - Result of generateCandidate
+     * @returns {boolean} True when evidence meets the configured thresholds
+     */
+    isStrong(candidate) {
+        if (!candidate) return false;
+        const minSamples = this.config.directMinSamples || 3;
+        const minConsistency = this.config.directMinConsistency || 0.8;
+        return candidate.matches >= minSamples && candidate.consistency >= minConsistency;
+    }
+}
+
+module.exports = {
+    EmailPatternModel,
+    PATTERNS
+};
@@ -0,0 +1,186 @@
+const dns = require('dns');
+const { downgradeConfidence, capConfidence } = require('./analysis');
+
+// Personal mailbox providers: real addresses, but not business ones
+const FREEMAIL_DOMAINS = new Set([
+    'gmail.com', 'googlemail.com', 'hotmail.com', 'hotmail.es', 'hotmail.com.ar', 'outlook.com', 'outlook.es',
+    'live.com', 'live.com.ar', 'msn.com', 'yahoo.com', 'yahoo.es', 'yahoo.com.ar', 'ymail.com',
+    'icloud.com', 'me.com', 'mac.com', 'aol.com', 'proton.me', 'protonmail.com',
+    'gmx.com', 'gmx.net', 'gmx.de', 'web.de', 'mail.com', 'zoho.com', 'yandex.com', 'yandex.ru',
+    'fibertel.com.ar', 'speedy.com.ar', 'arnet.com.ar', 'terra.com', 'uol.com.br', 'bol.com.br'
+]);
+
+// Throwaway mailbox services
+const DISPOSABLE_DOMAINS = new Set([
+    'mailinator.com', '10minutemail.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com',
+    'tempmail.com', 'temp-mail.org', 'trashmail.com', 'yopmail.com', 'getnada.com', 'dispostable.com',
+    'maildrop.cc', 'throwawaymail.com', 'fakeinbox.com', 'mintemail.com', 'emailondeck.com', 'mohmal.com'
+]);
+
+// Shared mailboxes rather than a person
+const ROLE_LOCAL_PARTS = new Set([
+    'info', 'sales', 'contact', 'admin', 'support', 'hello', 'office', 'hr', 'jobs', 'careers',
+    'marketing', 'noreply', 'no-reply', 'billing', 'help', 'team', 'webmaster', 'postmaster',
+    'press', 'media', 'legal', 'privacy', 'accounts', 'enquiries', 'inquiries', 'recruiting',
+    'ventas', 'contacto', 'administracion', 'rrhh', 'soporte', 'consultas', 'prensa', 'comercial'
+]);
+
+const EMAIL_STATUS = {
+    VALID: 'valid',
+    INVALID_SYNTAX: 'invalid_syntax',
+    DISPOSABLE: 'disposable',
+    NO_MX: 'no_mx',
+    ROLE: 'role',
+    FREEMAIL: 'freemail',
+    UNKNOWN: 'unknown' // DNS could not be queried (offline, timeout)
+};
+
+// dot-atom characters allowed in an unquoted local part (RFC 5322 atext)
+const ATEXT = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+$/;
+const DOMAIN_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+/**
+ * RFC 5321/5322 syntax check (dot-atom or quoted local part, hostname domain)
+ * @param {string} email - Address to check
+ * @returns {boolean} True if the syntax is valid
+ */
+function isValidSyntax(email) {
+    if (typeof email !== 'string' || email.length > 254) return false;
+
+    const at = email.lastIndexOf('@');
+    if (at <= 0 || at === email.length - 1) return false;
+
+    const local = email.slice(0, at);
+    const domain = email.slice(at + 1);
+    if (local.length > 64) return false;
+
+    if (local.startsWith('"') && local.endsWith('"') && local.length >= 2) {
+        // Quoted string: printable characters, with " and \ escaped
+        if (!/^"(?:[^"\\\r\n]|\\.)*"$/.test(local)) return false;
+    } else {
+        const atoms = local.split('.');
+        if (atoms.some(atom => !ATEXT.test(atom))) return false; // also rejects empty atoms (leading/double dots)
+    }
+
+    const labels = domain.split('.');
+    if (labels.length < 2) return false;
+    if (labels.some(label => !DOMAIN_LABEL.test(label))) return false;
+    return /^[a-z]{2,63}$/i.test(labels[labels.length - 1]);
+}
+
+/**
+ * Post-extraction email checks: syntax, MX/A records, disposable/free-mail
+ * domains and role accounts.
+ */
+class EmailValidator {
+    /**
+     * @param {Object} config - Validation configuration section (see lib/config.js)
+     * @param {Object} dnsResolver - Object with resolveMx/resolve4 (defaults to node's dns.promises),
+     *                               replaceable with a stub in tests or offline runs
+     */
+    constructor(config = {}, dnsResolver = null) {
+        this.config = config;
+        this.dnsResolver = dnsResolver || new dns.promises.Resolver({ timeout: config.dnsTimeout || 3000, tries: 1 });
+        this.domainCache = new Map();
+    }
+
+    /**
+     * Look up whether a domain accepts mail
+     * @param {string} domain - Domain to check
+     * @returns {Promise<string>} 'mx', 'a' (implicit MX), 'none', or 'error' when DNS could not be queried
+     */
+    async checkDomain(domain) {
+        if (this.domainCache.has(domain)) return this.domainCache.get(domain);
+
+        let outcome = 'none';
+        try {
+            const mx = await this.dnsResolver.resolveMx(domain);
+            outcome = mx && mx.length > 0 ? 'mx' : 'none';
+        } catch (error) {
+            outcome = this.isMissingRecord(error) ? 'none' : 'error';
+        }
+
+        if (outcome !== 'mx') {
+            try {
+                const a = await this.dnsResolver.resolve4(domain);
+                if (a && a.length > 0) outcome = 'a';
+            } catch (error) {
+                if (!this.isMissingRecord(error)) outcome = 'error';
+            }
+        }
+
+        this.domainCache.set(domain, outcome);
+        return outcome;
+    }
+
+    /**
+     * Whether a DNS error means "no such record" rather than a failed query
+     * @param {Error} error - DNS error
+     * @returns {boolean} True for ENOTFOUND/ENODATA-style errors
+     */
+    isMissingRecord(error) {
+        return [dns.NOTFOUND, dns.NODATA, 'ENOTFOUND', 'ENODATA'].includes(error && error.code);
+    }
+
+    /**
+     * Validate an email address
+     * @param {string} email - Address to validate
+     * @returns {Promise<Object>} { status, flags } - status is the most severe flag, flags lists all
+     */
+    async validate(email) {
+        const address = String(email || '').trim();
+        if (!isValidSyntax(address)) {
+            return { status: EMAIL_STATUS.INVALID_SYNTAX, flags: [EMAIL_STATUS.INVALID_SYNTAX] };
+        }
+
+        const at = address.lastIndexOf('@');
+        const local = address.slice(0, at).toLowerCase();
+        const domain = address.slice(at + 1).toLowerCase();
+        const flags = [];
+
+        if (DISPOSABLE_DOMAINS.has(domain)) flags.push(EMAIL_STATUS.DISPOSABLE);
+
+        if (this.config.dnsCheck) {
+            const dnsOutcome = await this.checkDomain(domain);
+            if (dnsOutcome === 'none') flags.push(EMAIL_STATUS.NO_MX);
+            if (dnsOutcome === 'error') flags.push(EMAIL_STATUS.UNKNOWN);
+        }
+
+        if (ROLE_LOCAL_PARTS.has(local.split('+')[0])) flags.push(EMAIL_STATUS.ROLE);
+        if (FREEMAIL_DOMAINS.has(domain)) flags.push(EMAIL_STATUS.FREEMAIL);
+
+        // Flags are pushed in order of severity
+        const status = flags.find(flag => flag !== EMAIL_STATUS.UNKNOWN) || (flags[0] || EMAIL_STATUS.VALID);
+        return { status, flags };
+    }
+
+    /**
+     * Adjust a confidence level for a validation status
+     * @param {string} confidence - Confidence reported by the analysis
+     * @param {string} status - Validation status
+     * @returns {string} Adjusted confidence
+     */
+    adjustConfidence(confidence, status) {
+        switch (status) {
+            case EMAIL_STATUS.INVALID_SYNTAX:
+            case EMAIL_STATUS.DISPOSABLE:
+            case EMAIL_STATUS.NO_MX:
+                return 'LOW';
+            case EMAIL_STATUS.ROLE:
+                return capConfidence(confidence, 'MEDIUM');
+            case EMAIL_STATUS.FREEMAIL:
+                return downgradeConfidence(confidence, 1);
+            default:
+                return confidence;
+        }
+    }
+}
+
+module.exports = {
+    EmailValidator,
+    EMAIL_STATUS,
+    FREEMAIL_DOMAINS,
+    DISPOSABLE_DOMAINS,
+    ROLE_LOCAL_PARTS,
+    isValidSyntax
+};
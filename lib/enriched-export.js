@@ -0,0 +1,110 @@
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const { CONFIDENCE_LEVELS, cleanConfidence } = require('./analysis');
+const { isAccepted } = require('./review');
+
+// Columns appended to the original ones
+const ENRICHED_COLUMNS = ['Email Status', 'Email Confidence', 'Email Source'];
+
+// Columns used when the input format has no header row of its own (vCard, JSON)
+const NORMALIZED_COLUMNS = ['First Name', 'Last Name', 'URL', 'Email', 'Company', 'Position', 'Connected On', 'Phone'];
+
+/**
+ * Whether a confidence level reaches a minimum
+ * @param {string} confidence - HIGH, MEDIUM or LOW
+ * @param {string} minimum - Lowest accepted level (empty accepts everything)
+ * @returns {boolean} True if the level is at least the minimum
+ */
+function meetsConfidence(confidence, minimum) {
+    if (!minimum) return true;
+    return CONFIDENCE_LEVELS.indexOf(cleanConfidence(confidence)) <= CONFIDENCE_LEVELS.indexOf(cleanConfidence(minimum));
+}
+
+/**
+ * Join stored results back onto the loaded contacts, keeping the input's own columns
+ * @param {Object} loaded - Result of loadInput(): { records, headers, emailColumns }
+ * @param {Map<string, Object>} resultsByKey - Latest stored result per connection key
+ * @param {Function} keyOf - (connection) => connection key
+ * @param {Object} options - { minConfidence, onlyAccepted, includeMissing }
+ * @returns {Object} { columns, rows, stats }
+ */
+function buildEnrichedExport(loaded, resultsByKey, keyOf, options = {}) {
+    const includeMissing = options.includeMissing !== false;
+    const headers = loaded.headers || NORMALIZED_COLUMNS;
+    const emailColumn = loaded.headers
+        ? (loaded.emailColumns || []).find(column => headers.includes(column)) || 'Email'
+        : 'Email';
+
+    const columns = [...headers];
+    if (!columns.includes(emailColumn)) columns.push(emailColumn);
+    columns.push(...ENRICHED_COLUMNS.filter(column => !columns.includes(column)));
+
+    const stats = { total: 0, existing: 0, found: 0, belowThreshold: 0, unreviewed: 0, missing: 0, written: 0 };
+    const rows = [];
+
+    for (const { connection, row } of loaded.records) {
+        const out = {};
+        const source = loaded.headers ? row : connection;
+        for (const column of headers) {
+            out[column] = source[column] === undefined ? '' : source[column];
+        }
+
+        const result = resultsByKey.get(keyOf(connection));
+        stats.total++;
+
+        if (connection['Email']) {
+            out[emailColumn] = out[emailColumn] || connection['Email'];
+            out['Email Status'] = 'existing';
+            out['Email Confidence'] = '';
+            out['Email Source'] = 'input';
+            stats.existing++;
+        } else if (result && result.email && meetsConfidence(result.confidence, options.minConfidence) &&
+            (!options.onlyAccepted || isAccepted(result))) {
+            out[emailColumn] = result.email;
+            out['Email Status'] = result.emailStatus || result.status || 'found';
+            out['Email Confidence'] = result.confidence || '';
+            out['Email Source'] = result.source || result.method || '';
+            stats.found++;
+        } else {
+            out[emailColumn] = '';
+            if (result && result.email && meetsConfidence(result.confidence, options.minConfidence)) {
+                // Found, but no reviewer has accepted it yet
+                out['Email Status'] = 'unreviewed';
+                out['Email Confidence'] = result.confidence || '';
+                stats.unreviewed++;
+            } else if (result && result.email) {
+                out['Email Status'] = 'below_threshold';
+                out['Email Confidence'] = result.confidence || '';
+                stats.belowThreshold++;
+            } else {
+                // not_found / error from the store, or never looked up
+                out['Email Status'] = result ? result.status || 'not_found' : 'pending';
+                out['Email Confidence'] = '';
+                stats.missing++;
+            }
+            out['Email Source'] = '';
+            if (!includeMissing) continue;
+        }
+
+        rows.push(out);
+    }
+
+    stats.written = rows.length;
+    return { columns, rows, stats };
+}
+
+/**
+ * Write an enriched export to CSV
+ * @param {string} filePath - Output file
+ * @param {Array<string>} columns - Column order
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @returns {Promise<void>}
+ */
+async function writeEnrichedCsv(filePath, columns, rows) {
+    const csvWriter = createCsvWriter({
+        path: filePath,
+        header: columns.map(column => ({ id: column, title: column }))
+    });
+    await csvWriter.writeRecords(rows);
+}
+
+module.exports = { buildEnrichedExport, writeEnrichedCsv, meetsConfidence, ENRICHED_COLUMNS, NORMALIZED_COLUMNS };
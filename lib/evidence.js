@@ -0,0 +1,121 @@
+const { capConfidence } = require('./analysis');
+const { EmailPatternModel } = require('./email-patterns');
+const { splitFullName } = require('./name-normalizer');
+
+// found_in_source: the address appears in the retrieved search results
+// pattern_guess:   not in the results, but built from the person's name on the company's domain
+// unsupported:     neither; most likely made up by the model
+const EVIDENCE_LEVELS = ['found_in_source', 'pattern_guess', 'unsupported'];
+
+/**
+ * Normalize a URL for comparison ("https://www.Acme.com/team/#x" -> "acme.com/team")
+ * @param {string} url - URL as cited or retrieved
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url) {
+    return String(url || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/[#?].*$/, '')
+        .replace(/\/+$/, '');
+}
+
+/**
+ * Post-analysis check of an email against the search evidence it was
+ * extracted from. The model is asked to cite its source, but when the web
+ * search comes back empty it is told to guess from common patterns, and
+ * those guesses come back with sources and confidence all the same.
+ */
+class EvidenceVerifier {
+    /**
+     * @param {Object} config - Evidence configuration section (see lib/config.js)
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.names = new EmailPatternModel();
+    }
+
+    /**
+     * Whether the address appears literally in the retrieved results
+     * @param {string} email - Address to look for
+     * @param {Array<Object>} results - Retrieved results: { title, url, snippet }
+     * @returns {boolean} True if any title, URL or snippet contains it
+     */
+    appearsIn(email, results) {
+        const needle = email.toLowerCase();
+        return results.some(result =>
+            [result.title, result.url, result.snippet].some(text => String(text || '').toLowerCase().includes(needle))
+        );
+    }
+
+    /**
+     * Whether the cited sources were among the retrieved results
+     * @param {Array<string>} sources - URLs cited by the model
+     * @param {Array<Object>} results - Retrieved results
+     * @returns {boolean|null} True if at least one citation was retrieved, null when nothing was cited
+     */
+    sourcesRetrieved(sources, results) {
+        const cited = sources.map(normalizeUrl).filter(Boolean);
+        if (cited.length === 0) return null;
+
+        const retrieved = results.map(result => normalizeUrl(result.url)).filter(Boolean);
+        // A citation of a site ("acme.com") covers the pages retrieved from it
+        return cited.some(source => retrieved.some(url => url === source || url.startsWith(`${source}/`)));
+    }
+
+    /**
+     * Whether the address is on the company's resolved domain (or a subdomain of it)
+     * @param {string} email - Address
+     * @param {string} domain - Resolved company domain
+     * @returns {boolean|null} Null when the company domain is unknown
+     */
+    domainMatches(email, domain) {
+        if (!domain) return null;
+        const emailDomain = email.slice(email.lastIndexOf('@') + 1).toLowerCase();
+        const companyDomain = domain.toLowerCase();
+        return emailDomain === companyDomain || emailDomain.endsWith(`.${companyDomain}`);
+    }
+
+    /**
+     * Check an analyzed result and cap its confidence when the address isn't backed by the results
+     * @param {Object} result - Result with email, sources, confidence and name
+     * @param {Object} context - { results: retrieved search results, domain: resolved company domain }
+     * @returns {Object} { evidence, checks, confidence } - checks: { emailInResults, sourceRetrieved, domainMatches, namePattern }
+     */
+    verify(result, context = {}) {
+        const email = String(result.email || '').trim();
+        const results = context.results || [];
+        const { firstName, lastName } = splitFullName(result.name || '');
+        const namePattern = this.names.detectPattern(email.slice(0, email.lastIndexOf('@')), firstName, lastName);
+
+        const checks = {
+            emailInResults: this.appearsIn(email, results),
+            sourceRetrieved: this.sourcesRetrieved(result.sources || [], results),
+            domainMatches: this.domainMatches(email, context.domain || ''),
+            namePattern: namePattern ? namePattern.pattern : ''
+        };
+
+        let evidence = 'unsupported';
+        if (checks.emailInResults) {
+            evidence = 'found_in_source';
+        } else if (checks.domainMatches && checks.namePattern) {
+            evidence = 'pattern_guess';
+        }
+
+        let confidence = result.confidence;
+        if (evidence === 'pattern_guess') {
+            confidence = capConfidence(confidence, this.config.guessMaxConfidence || 'MEDIUM');
+        } else if (evidence === 'unsupported') {
+            confidence = capConfidence(confidence, this.config.unsupportedMaxConfidence || 'LOW');
+        } else if (checks.sourceRetrieved === false) {
+            // The address is in the results, but the cited page isn't one of them
+            confidence = capConfidence(confidence, this.config.guessMaxConfidence || 'MEDIUM');
+        }
+
+        return { evidence, checks, confidence };
+    }
+}
+
+module.exports = { EvidenceVerifier, EVIDENCE_LEVELS, normalizeUrl };
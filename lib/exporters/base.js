@@ -0,0 +1,120 @@
+const { splitFullName } = require('../name-normalizer');
+
+// Fields available to export profiles and mapping files
+const EXPORT_FIELDS = [
+    'fullName', 'firstName', 'lastName', 'email', 'company', 'position', 'phone', 'url',
+    'connectedOn', 'confidence', 'evidence', 'emailStatus', 'source', 'method', 'domain', 'status', 'reviewStatus', 'foundAt'
+];
+
+/**
+ * Build the flat record exporters work from
+ * @param {Object} result - Stored search result
+ * @param {Object|null} connection - Matching input connection, if the input file is available
+ * @returns {Object} Record with every EXPORT_FIELDS key (strings)
+ */
+function buildExportRecord(result, connection = null) {
+    const conn = connection || {};
+    const fullName = conn['Full Name'] || result.name || '';
+    const split = splitFullName(fullName);
+
+    return {
+        fullName,
+        firstName: conn['First Name'] || split.firstName,
+        lastName: conn['Last Name'] || split.lastName,
+        email: result.email || '',
+        company: result.company || conn['Company'] || '',
+        position: result.position || conn['Position'] || '',
+        phone: conn['Phone'] || '',
+        url: conn['URL'] || '',
+        connectedOn: conn['Connected On'] || '',
+        confidence: result.confidence || '',
+        evidence: result.evidence || '',
+        emailStatus: result.emailStatus || '',
+        source: result.source || '',
+        method: result.method || '',
+        domain: result.resolvedDomain || '',
+        status: result.status || '',
+        reviewStatus: result.reviewStatus || '',
+        foundAt: result.recordedAt || ''
+    };
+}
+
+/**
+ * Resolve one column of a mapping against a record.
+ *
+ * A spec is either a field name ("email"), a template with {field}
+ * placeholders ("{firstName} {lastName}"), an object with a constant
+ * ({ "value": "LinkedIn" }) or a function (record) => value.
+ *
+ * @param {string|Object|Function} spec - Column spec
+ * @param {Object} record - Export record
+ * @returns {string} Column value
+ */
+function resolveColumn(spec, record) {
+    if (typeof spec === 'function') return spec(record);
+    if (spec && typeof spec === 'object') return spec.value === undefined ? '' : String(spec.value);
+    if (spec.includes('{')) {
+        return spec.replace(/\{(\w+)\}/g, (_, field) => record[field] || '').trim();
+    }
+    return record[spec] || '';
+}
+
+/**
+ * Check a mapping only refers to known fields
+ * @param {Object} columns - Header → spec
+ * @param {string} source - Where the mapping came from, for the error message
+ */
+function validateColumns(columns, source) {
+    for (const [header, spec] of Object.entries(columns)) {
+        if (typeof spec === 'function' || (spec && typeof spec === 'object')) continue;
+        const fields = String(spec).includes('{')
+            ? Array.from(String(spec).matchAll(/\{(\w+)\}/g), match => match[1])
+            : [String(spec)];
+        const unknown = fields.filter(field => !EXPORT_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            throw new Error(`Columna "${header}" de ${source}: campo desconocido ${unknown.join(', ')} (disponibles: ${EXPORT_FIELDS.join(', ')})`);
+        }
+    }
+}
+
+/**
+ * Base class for export profiles.
+ *
+ * A profile turns export records into a file a CRM or address book can import.
+ */
+class Exporter {
+    /**
+     * @param {Object} options - Profile options (e.g. columns for mapping-file profiles)
+     */
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    /**
+     * Profile identifier, used with --profile and EXPORT_PROFILE
+     * @returns {string} Profile name
+     */
+    get name() {
+        return 'base';
+    }
+
+    /**
+     * Default file name for this profile's output
+     * @returns {string} File name
+     */
+    get defaultFile() {
+        return `contacts_${this.name}.csv`;
+    }
+
+    /**
+     * Write the records to a file
+     * @param {string} filePath - Output file
+     * @param {Array<Object>} records - Export records
+     * @returns {Promise<void>}
+     */
+    async write(filePath, records) {
+        throw new Error(`El perfil de exportación ${this.name} no implementa write()`);
+    }
+}
+
+module.exports = { Exporter, EXPORT_FIELDS, buildExportRecord, resolveColumn, validateColumns };
@@ -0,0 +1,42 @@
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const { Exporter, resolveColumn } = require('./base');
+
+/**
+ * Exporter that writes one CSV row per record from a header → spec mapping
+ */
+class CsvExporter extends Exporter {
+    get name() {
+        return 'csv';
+    }
+
+    /**
+     * Column mapping (header → spec, see resolveColumn)
+     * @returns {Object} Columns in output order
+     */
+    get columns() {
+        return this.options.columns || {};
+    }
+
+    /**
+     * Map a record to a CSV row
+     * @param {Object} record - Export record
+     * @returns {Object} Row keyed by header
+     */
+    toRow(record) {
+        const row = {};
+        for (const [header, spec] of Object.entries(this.columns)) {
+            row[header] = resolveColumn(spec, record);
+        }
+        return row;
+    }
+
+    async write(filePath, records) {
+        const csvWriter = createCsvWriter({
+            path: filePath,
+            header: Object.keys(this.columns).map(header => ({ id: header, title: header }))
+        });
+        await csvWriter.writeRecords(records.map(record => this.toRow(record)));
+    }
+}
+
+module.exports = { CsvExporter };
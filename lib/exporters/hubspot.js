@@ -0,0 +1,27 @@
+const { CsvExporter } = require('./csv');
+
+/**
+ * HubSpot contact import file.
+ *
+ * Headers match HubSpot's default contact property labels so the import
+ * wizard maps them automatically; Email is the deduplication key.
+ */
+class HubSpotExporter extends CsvExporter {
+    get name() {
+        return 'hubspot';
+    }
+
+    get columns() {
+        return {
+            'First Name': 'firstName',
+            'Last Name': 'lastName',
+            'Email': 'email',
+            'Company Name': 'company',
+            'Job Title': 'position',
+            'Phone Number': 'phone',
+            'Lifecycle Stage': { value: 'lead' }
+        };
+    }
+}
+
+module.exports = { HubSpotExporter };
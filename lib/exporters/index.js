@@ -0,0 +1,96 @@
+const fs = require('fs');
+const { Exporter, EXPORT_FIELDS, buildExportRecord, validateColumns } = require('./base');
+const { CsvExporter } = require('./csv');
+const { HubSpotExporter } = require('./hubspot');
+const { SalesforceExporter } = require('./salesforce');
+const { JsonlExporter } = require('./jsonl');
+const { VCardExporter } = require('./vcard');
+
+// Registry of export profiles, keyed by the --profile / EXPORT_PROFILE value
+const exporters = new Map();
+
+/**
+ * Register an export profile class under a name
+ * @param {string} name - Profile name used in configuration
+ * @param {Function} ExporterClass - Class extending Exporter
+ */
+function registerExporter(name, ExporterClass) {
+    if (!(ExporterClass.prototype instanceof Exporter)) {
+        throw new Error(`El perfil ${name} debe extender Exporter`);
+    }
+    exporters.set(name.toLowerCase(), ExporterClass);
+}
+
+/**
+ * Create a registered export profile
+ * @param {string} name - Profile name
+ * @returns {Exporter} Exporter instance
+ */
+function createExporter(name) {
+    const ExporterClass = exporters.get(String(name).toLowerCase());
+    if (!ExporterClass) {
+        throw new Error(`Perfil de exportación desconocido: ${name} (disponibles: ${listExporters().join(', ')})`);
+    }
+    return new ExporterClass();
+}
+
+/**
+ * List the registered profile names
+ * @returns {Array<string>} Profile names
+ */
+function listExporters() {
+    return Array.from(exporters.keys());
+}
+
+/**
+ * Create a custom profile from a JSON mapping file:
+ *
+ *   {
+ *     "format": "csv",                       // or "jsonl"
+ *     "columns": {
+ *       "Email Address": "email",            // export field
+ *       "Name": "{firstName} {lastName}",    // template
+ *       "Lead Source": { "value": "LinkedIn" } // constant
+ *     }
+ *   }
+ *
+ * @param {string} filePath - Mapping file
+ * @returns {Exporter} Exporter instance
+ */
+function loadMappingFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`El archivo de mapeo ${filePath} no existe`);
+    }
+
+    let mapping;
+    try {
+        mapping = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`El archivo de mapeo ${filePath} no es JSON válido: ${error.message}`);
+    }
+
+    if (!mapping.columns || typeof mapping.columns !== 'object' || Object.keys(mapping.columns).length === 0) {
+        throw new Error(`El archivo de mapeo ${filePath} no define "columns"`);
+    }
+    validateColumns(mapping.columns, filePath);
+
+    const format = (mapping.format || 'csv').toLowerCase();
+    if (format === 'csv') return new CsvExporter({ columns: mapping.columns });
+    if (format === 'jsonl') return new JsonlExporter({ columns: mapping.columns });
+    throw new Error(`Formato "${format}" no soportado en ${filePath} (usa csv o jsonl)`);
+}
+
+registerExporter('hubspot', HubSpotExporter);
+registerExporter('salesforce', SalesforceExporter);
+registerExporter('vcard', VCardExporter);
+registerExporter('jsonl', JsonlExporter);
+
+module.exports = {
+    Exporter,
+    EXPORT_FIELDS,
+    buildExportRecord,
+    registerExporter,
+    createExporter,
+    listExporters,
+    loadMappingFile
+};
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const { Exporter, EXPORT_FIELDS, resolveColumn } = require('./base');
+
+/**
+ * Newline-delimited JSON, one object per record.
+ *
+ * Without a mapping every export field is written under its own name.
+ */
+class JsonlExporter extends Exporter {
+    get name() {
+        return 'jsonl';
+    }
+
+    get defaultFile() {
+        return 'contacts.jsonl';
+    }
+
+    /**
+     * Key → spec mapping (see resolveColumn)
+     * @returns {Object} Keys in output order
+     */
+    get columns() {
+        return this.options.columns || Object.fromEntries(EXPORT_FIELDS.map(field => [field, field]));
+    }
+
+    async write(filePath, records) {
+        const lines = records.map(record => {
+            const item = {};
+            for (const [key, spec] of Object.entries(this.columns)) {
+                item[key] = resolveColumn(spec, record);
+            }
+            return JSON.stringify(item);
+        });
+        await fs.promises.writeFile(filePath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+    }
+}
+
+module.exports = { JsonlExporter };
@@ -0,0 +1,32 @@
+const { CsvExporter } = require('./csv');
+
+/**
+ * Salesforce lead import file (Data Import Wizard / Data Loader).
+ *
+ * Leads require Last Name and Company, so missing values get the same
+ * "[not provided]" placeholder Salesforce's Web-to-Lead uses.
+ */
+class SalesforceExporter extends CsvExporter {
+    get name() {
+        return 'salesforce';
+    }
+
+    get columns() {
+        return {
+            'First Name': 'firstName',
+            'Last Name': record => record.lastName || '[not provided]',
+            'Email': 'email',
+            'Company': record => record.company || '[not provided]',
+            'Title': 'position',
+            'Phone': 'phone',
+            'Lead Source': { value: 'LinkedIn' },
+            'Description': record => [
+                record.url && `LinkedIn: ${record.url}`,
+                record.confidence && `Confianza del email: ${record.confidence}`,
+                record.source && `Fuente: ${record.source}`
+            ].filter(Boolean).join('\n')
+        };
+    }
+}
+
+module.exports = { SalesforceExporter };
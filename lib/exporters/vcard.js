@@ -0,0 +1,81 @@
+const fs = require('fs');
+const { Exporter } = require('./base');
+
+/**
+ * Escape a vCard text value
+ * @param {string} value - Plain text
+ * @returns {string} Escaped value
+ */
+function escapeValue(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets as RFC 6350 requires, without splitting UTF-8 characters
+ * @param {string} line - Content line
+ * @returns {string} Folded line (CRLF + space between segments)
+ */
+function foldLine(line) {
+    const segments = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = segments.length === 0 ? 75 : 74;
+        if (octets + size > limit) {
+            segments.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    segments.push(current);
+    return segments.join('\r\n ');
+}
+
+/**
+ * vCard 4.0 address book (.vcf)
+ */
+class VCardExporter extends Exporter {
+    get name() {
+        return 'vcard';
+    }
+
+    get defaultFile() {
+        return 'contacts.vcf';
+    }
+
+    /**
+     * Build one vCard
+     * @param {Object} record - Export record
+     * @returns {string} vCard text with CRLF line endings
+     */
+    toCard(record) {
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:4.0',
+            `FN:${escapeValue(record.fullName)}`,
+            `N:${escapeValue(record.lastName)};${escapeValue(record.firstName)};;;`
+        ];
+        if (record.email) lines.push(`EMAIL;TYPE=work:${escapeValue(record.email)}`);
+        if (record.company) lines.push(`ORG:${escapeValue(record.company)}`);
+        if (record.position) lines.push(`TITLE:${escapeValue(record.position)}`);
+        if (record.phone) lines.push(`TEL;TYPE=work;VALUE=text:${escapeValue(record.phone)}`);
+        if (record.url) lines.push(`URL:${record.url}`);
+        if (record.confidence) lines.push(`NOTE:${escapeValue(`Confianza del email: ${record.confidence}`)}`);
+        lines.push('END:VCARD');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    async write(filePath, records) {
+        await fs.promises.writeFile(filePath, records.map(record => this.toCard(record)).join(''));
+    }
+}
+
+module.exports = { VCardExporter };
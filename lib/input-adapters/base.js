@@ -0,0 +1,185 @@
+const path = require('path');
+const { readCsvTable } = require('../csv-reader');
+const { cleanName, splitFullName } = require('../name-normalizer');
+
+/**
+ * Build a connection in the normalized shape used by the rest of the pipeline
+ * @param {Object} fields - { fullName, firstName, lastName, email, company, position, connectedOn, url, phone }
+ * @returns {Object|null} Normalized connection, or null if it has no usable name
+ */
+function normalizeConnection(fields) {
+    const clean = value => (value === undefined || value === null ? '' : String(value).trim());
+
+    // Honorifics, credentials, emoji and headlines are dropped so queries, keys and email guesses use the bare name
+    let firstName = cleanName(clean(fields.firstName));
+    let lastName = cleanName(clean(fields.lastName));
+    let fullName = cleanName(clean(fields.fullName));
+
+    if (fullName && !firstName && !lastName) {
+        ({ firstName, lastName } = splitFullName(fullName));
+    } else if (!fullName) {
+        fullName = `${firstName} ${lastName}`.trim();
+    }
+
+    if (!fullName || fullName.length < 2) return null;
+
+    return {
+        'Full Name': fullName,
+        'First Name': firstName,
+        'Last Name': lastName,
+        'Email': clean(fields.email),
+        'Company': clean(fields.company),
+        'Position': clean(fields.position),
+        'Connected On': clean(fields.connectedOn),
+        'URL': clean(fields.url),
+        'Phone': clean(fields.phone)
+    };
+}
+
+/**
+ * Return the first non-empty value among several column names
+ * @param {Object} row - Raw row
+ * @param {Array<string>} columns - Candidate column names, in order of preference
+ * @returns {string} Value, or '' if none is set
+ */
+function pick(row, columns) {
+    for (const column of columns) {
+        const value = row[column];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            return String(value).trim();
+        }
+    }
+    return '';
+}
+
+/**
+ * Base class for contact input formats.
+ *
+ * An adapter reads raw rows from a file and maps each one into the
+ * normalized connection shape (see normalizeConnection).
+ */
+class InputAdapter {
+    /**
+     * Format identifier, used with --format and INPUT_FORMAT
+     * @returns {string} Format name
+     */
+    get name() {
+        return 'base';
+    }
+
+    /**
+     * Human-readable description for logs and help
+     * @returns {string} Description
+     */
+    get description() {
+        return this.name;
+    }
+
+    /**
+     * File extensions this format usually comes in
+     * @returns {Array<string>} Lowercase extensions including the dot
+     */
+    get extensions() {
+        return [];
+    }
+
+    /**
+     * Whether a file with this extension belongs to this format without looking at its content
+     * @param {string} filePath - Input file
+     * @returns {boolean} True if the extension is specific to this format
+     */
+    matchesExtension(filePath) {
+        return this.extensions.includes(path.extname(filePath).toLowerCase());
+    }
+
+    /**
+     * Columns that hold the email in this format's raw rows, in order of preference.
+     * The first one is where merge-back exports write found emails.
+     * @returns {Array<string>} Column names
+     */
+    get emailColumns() {
+        return ['Email'];
+    }
+
+    /**
+     * Read the raw rows of a file
+     * @param {string} filePath - Input file
+     * @returns {Promise<Object>} { rows: [{ row, line }], malformed: [{ line, reason }], headerLine, headers }
+     */
+    async readRows(filePath) {
+        throw new Error(`El formato ${this.name} no implementa readRows()`);
+    }
+
+    /**
+     * Map a raw row into the fields accepted by normalizeConnection
+     * @param {Object} row - Raw row
+     * @returns {Object} Connection fields
+     */
+    mapRow(row) {
+        throw new Error(`El formato ${this.name} no implementa mapRow()`);
+    }
+
+    /**
+     * Load and normalize every connection in a file
+     * @param {string} filePath - Input file
+     * @returns {Promise<Object>} { connections, records: [{ connection, row, line }], skipped, malformed, headerLine, headers }
+     */
+    async load(filePath) {
+        const parsed = await this.readRows(filePath);
+        const connections = [];
+        const records = [];
+        const skipped = [];
+
+        for (const { row, line } of parsed.rows) {
+            const connection = normalizeConnection(this.mapRow(row));
+            if (connection) {
+                connections.push(connection);
+                records.push({ connection, row, line });
+            } else {
+                skipped.push({ line, reason: 'sin nombre' });
+            }
+        }
+
+        return {
+            connections,
+            records,
+            skipped,
+            malformed: parsed.malformed || [],
+            headerLine: parsed.headerLine || null,
+            // Original column order for formats that have one (CSV)
+            headers: parsed.headers || null
+        };
+    }
+}
+
+/**
+ * Adapter for CSV exports identified by their header row
+ */
+class CsvInputAdapter extends InputAdapter {
+    get extensions() {
+        return ['.csv'];
+    }
+
+    /**
+     * Extension alone can't tell CSV flavours apart
+     * @returns {boolean} Always false
+     */
+    matchesExtension() {
+        return false;
+    }
+
+    /**
+     * Whether a record is this format's header row
+     * @param {Array<string>} fields - Record fields
+     * @returns {boolean} True if it looks like the header
+     */
+    isHeader(fields) {
+        return false;
+    }
+
+    async readRows(filePath) {
+        return readCsvTable(filePath, fields => this.isHeader(fields.map(field => field.trim())));
+    }
+}
+
+module.exports = { InputAdapter, CsvInputAdapter, normalizeConnection, pick };
@@ -0,0 +1,56 @@
+const { CsvInputAdapter, pick } = require('./base');
+
+/**
+ * Google Contacts CSV export ("Google CSV").
+ *
+ * Older exports use Given Name / Family Name and "Organization 1 - Name";
+ * current ones use First Name / Last Name and "Organization Name". Emails,
+ * phones and websites are numbered columns ("E-mail 1 - Value", ...).
+ */
+class GoogleContactsAdapter extends CsvInputAdapter {
+    get name() {
+        return 'google';
+    }
+
+    get description() {
+        return 'Contactos de Google (CSV)';
+    }
+
+    isHeader(fields) {
+        return fields.includes('E-mail 1 - Value') || (fields.includes('Given Name') && fields.includes('Family Name'));
+    }
+
+    get emailColumns() {
+        return ['E-mail 1 - Value'];
+    }
+
+    /**
+     * Values of a numbered column group ("E-mail 1 - Value", "E-mail 2 - Value", ...)
+     * @param {Object} row - Raw row
+     * @param {string} prefix - Column prefix, e.g. "E-mail"
+     * @returns {Array<string>} Non-empty values; Google joins several in one cell with " ::: "
+     */
+    numbered(row, prefix) {
+        const values = [];
+        for (let i = 1; row[`${prefix} ${i} - Value`] !== undefined; i++) {
+            values.push(...row[`${prefix} ${i} - Value`].split(':::').map(v => v.trim()).filter(Boolean));
+        }
+        return values;
+    }
+
+    mapRow(row) {
+        const websites = this.numbered(row, 'Website');
+        return {
+            fullName: row['Name'],
+            firstName: pick(row, ['First Name', 'Given Name']),
+            lastName: pick(row, ['Last Name', 'Family Name']),
+            email: this.numbered(row, 'E-mail')[0],
+            company: pick(row, ['Organization Name', 'Organization 1 - Name']),
+            position: pick(row, ['Organization Title', 'Organization 1 - Title']),
+            url: websites.find(url => /linkedin\.com/i.test(url)) || websites[0],
+            phone: this.numbered(row, 'Phone')[0]
+        };
+    }
+}
+
+module.exports = { GoogleContactsAdapter };
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const { InputAdapter, CsvInputAdapter, normalizeConnection } = require('./base');
+const { LinkedInAdapter } = require('./linkedin');
+const { SalesNavigatorAdapter } = require('./sales-navigator');
+const { GoogleContactsAdapter } = require('./google');
+const { OutlookAdapter } = require('./outlook');
+const { VCardAdapter } = require('./vcard');
+const { JsonAdapter } = require('./json');
+const { peekCsvRecords } = require('../csv-reader');
+
+// Registry of input formats, keyed by the --format / INPUT_FORMAT value.
+// Order matters for detection: more specific CSV headers are checked first,
+// since most contact exports also have "First Name".
+const adapters = new Map();
+
+/**
+ * Register an input adapter class under a name
+ * @param {string} name - Format name used in configuration
+ * @param {Function} AdapterClass - Class extending InputAdapter
+ */
+function registerInputAdapter(name, AdapterClass) {
+    if (!(AdapterClass.prototype instanceof InputAdapter)) {
+        throw new Error(`El formato ${name} debe extender InputAdapter`);
+    }
+    adapters.set(name.toLowerCase(), AdapterClass);
+}
+
+/**
+ * Create the adapter for a format name
+ * @param {string} name - Format name
+ * @returns {InputAdapter} Adapter instance
+ */
+function createInputAdapter(name) {
+    const AdapterClass = adapters.get(String(name).toLowerCase());
+    if (!AdapterClass) {
+        throw new Error(`Formato de entrada desconocido: ${name} (disponibles: ${listInputFormats().join(', ')})`);
+    }
+    return new AdapterClass();
+}
+
+/**
+ * List the registered format names
+ * @returns {Array<string>} Format names
+ */
+function listInputFormats() {
+    return Array.from(adapters.keys());
+}
+
+/**
+ * Pick the adapter for a file from its extension or, for CSV, its header row
+ * @param {string} filePath - Input file
+ * @returns {Promise<InputAdapter>} Matching adapter
+ */
+async function detectInputAdapter(filePath) {
+    const instances = listInputFormats().map(createInputAdapter);
+
+    const byExtension = instances.find(adapter => adapter.matchesExtension(filePath));
+    if (byExtension) return byExtension;
+
+    const records = await peekCsvRecords(filePath);
+    for (const fields of records) {
+        const trimmed = fields.map(field => field.trim());
+        const match = instances.find(adapter => adapter instanceof CsvInputAdapter && adapter.isHeader(trimmed));
+        if (match) return match;
+    }
+
+    throw new Error(`No se pudo detectar el formato de ${filePath}; indícalo con --format (${listInputFormats().join(', ')})`);
+}
+
+/**
+ * Load connections from any supported file
+ * @param {string} filePath - Input file
+ * @param {string} format - Format name, or 'auto' to detect it
+ * @returns {Promise<Object>} { format, description, emailColumns, connections, records, skipped, malformed, headerLine, headers }
+ */
+async function loadInput(filePath, format = 'auto') {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`El archivo ${filePath} no existe`);
+    }
+    const adapter = !format || format === 'auto'
+        ? await detectInputAdapter(filePath)
+        : createInputAdapter(format);
+    const loaded = await adapter.load(filePath);
+    return { format: adapter.name, description: adapter.description, emailColumns: adapter.emailColumns, ...loaded };
+}
+
+registerInputAdapter('salesnav', SalesNavigatorAdapter);
+registerInputAdapter('google', GoogleContactsAdapter);
+registerInputAdapter('outlook', OutlookAdapter);
+registerInputAdapter('linkedin', LinkedInAdapter);
+registerInputAdapter('vcard', VCardAdapter);
+registerInputAdapter('json', JsonAdapter);
+
+module.exports = {
+    InputAdapter,
+    CsvInputAdapter,
+    normalizeConnection,
+    registerInputAdapter,
+    createInputAdapter,
+    listInputFormats,
+    detectInputAdapter,
+    loadInput
+};
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const { InputAdapter, pick } = require('./base');
+
+// Accepted keys for each connection field, compared case- and separator-insensitively
+const FIELD_ALIASES = {
+    fullName: ['fullName', 'name', 'displayName'],
+    firstName: ['firstName', 'givenName'],
+    lastName: ['lastName', 'familyName', 'surname'],
+    email: ['email', 'emailAddress', 'workEmail'],
+    company: ['company', 'companyName', 'organization', 'org'],
+    position: ['position', 'title', 'jobTitle', 'headline'],
+    connectedOn: ['connectedOn', 'connectedAt', 'dateAdded'],
+    url: ['url', 'profileUrl', 'linkedinUrl', 'linkedin'],
+    phone: ['phone', 'phoneNumber', 'mobile']
+};
+
+/**
+ * Lowercase a key and drop separators so "First Name", "first_name" and "firstName" match
+ * @param {string} key - Object key
+ * @returns {string} Comparable key
+ */
+function keyOf(key) {
+    return String(key).toLowerCase().replace(/[\s_-]/g, '');
+}
+
+const KNOWN_KEYS = new Set(Object.values(FIELD_ALIASES).flat().map(keyOf));
+
+/**
+ * Comparable key for a list of values: the singular alias when the key is a plural of one
+ * ("emails", "emailAddresses", "organizations"), otherwise the key itself
+ * @param {string} key - Object key
+ * @returns {string} Comparable key
+ */
+function listKeyOf(key) {
+    const plain = keyOf(key);
+    const candidates = [plain, plain.replace(/s$/, ''), plain.replace(/es$/, '')];
+    return candidates.find(candidate => KNOWN_KEYS.has(candidate)) || plain;
+}
+
+/**
+ * JSON array of contacts, an object with a `connections`/`contacts` array, or JSON Lines
+ */
+class JsonAdapter extends InputAdapter {
+    get name() {
+        return 'json';
+    }
+
+    get description() {
+        return 'Contactos en JSON o JSON Lines';
+    }
+
+    get extensions() {
+        return ['.json', '.jsonl', '.ndjson'];
+    }
+
+    async readRows(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`El archivo ${filePath} no existe`);
+        }
+
+        const text = (await fs.promises.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+        const rows = [];
+        const malformed = [];
+
+        if (/^\s*[[{]/.test(text)) {
+            let data = null;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                // Not a single document: fall through to JSON Lines
+            }
+            if (data !== null) {
+                const items = Array.isArray(data) ? data : (data.connections || data.contacts || data.leads || [data]);
+                if (!Array.isArray(items)) {
+                    throw new Error(`${filePath} no contiene una lista de contactos`);
+                }
+                items.forEach((item, index) => {
+                    // Line numbers aren't meaningful inside one document, so report the item position
+                    if (item && typeof item === 'object') rows.push({ row: item, line: index + 1 });
+                    else malformed.push({ line: index + 1, reason: 'no es un objeto' });
+                });
+                return { rows, malformed, headerLine: null };
+            }
+        }
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                const item = JSON.parse(line);
+                if (item && typeof item === 'object' && !Array.isArray(item)) rows.push({ row: item, line: index + 1 });
+                else malformed.push({ line: index + 1, reason: 'no es un objeto' });
+            } catch (error) {
+                malformed.push({ line: index + 1, reason: 'JSON inválido' });
+            }
+        });
+        return { rows, malformed, headerLine: null };
+    }
+
+    mapRow(item) {
+        const flat = {};
+        for (const [key, value] of Object.entries(item)) {
+            if (Array.isArray(value)) {
+                // { emails: ["jane@acme.com"] }, { emailAddresses: [{ value: "jane@acme.com" }] } or { organizations: [{ name: "Acme" }] }
+                const head = value[0];
+                flat[listKeyOf(key)] = head && typeof head === 'object' ? head.value || head.address || head.name || '' : head;
+            } else if (value !== null && typeof value === 'object') {
+                // { company: { name: "Acme" } }
+                if (value.name) flat[keyOf(key)] = value.name;
+            } else {
+                flat[keyOf(key)] = value;
+            }
+        }
+
+        const fields = {};
+        for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+            fields[field] = pick(flat, aliases.map(keyOf));
+        }
+        return fields;
+    }
+}
+
+module.exports = { JsonAdapter };
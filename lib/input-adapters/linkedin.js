@@ -0,0 +1,44 @@
+const { CsvInputAdapter, pick } = require('./base');
+
+// Columns that identify the header row of a LinkedIn connections export
+const HEADER_MARKERS = ['First Name', 'Full Name'];
+
+/**
+ * LinkedIn "Connections.csv" export.
+ *
+ * LinkedIn prepends a "Notes:" preamble (sometimes a multi-line quoted
+ * paragraph) before the real header, so the header is the first record that
+ * contains one of HEADER_MARKERS.
+ */
+class LinkedInAdapter extends CsvInputAdapter {
+    get name() {
+        return 'linkedin';
+    }
+
+    get description() {
+        return 'Exportación de conexiones de LinkedIn';
+    }
+
+    isHeader(fields) {
+        return fields.some(field => HEADER_MARKERS.includes(field));
+    }
+
+    get emailColumns() {
+        return ['Email Address', 'Email'];
+    }
+
+    mapRow(row) {
+        return {
+            fullName: row['Full Name'],
+            firstName: row['First Name'],
+            lastName: row['Last Name'],
+            email: pick(row, this.emailColumns),
+            company: row['Company'],
+            position: row['Position'],
+            connectedOn: row['Connected On'],
+            url: row['URL']
+        };
+    }
+}
+
+module.exports = { LinkedInAdapter, HEADER_MARKERS };
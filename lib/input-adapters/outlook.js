@@ -0,0 +1,36 @@
+const { CsvInputAdapter, pick } = require('./base');
+
+/**
+ * Outlook / Microsoft 365 contacts CSV export
+ */
+class OutlookAdapter extends CsvInputAdapter {
+    get name() {
+        return 'outlook';
+    }
+
+    get description() {
+        return 'Contactos de Outlook (CSV)';
+    }
+
+    isHeader(fields) {
+        return fields.includes('E-mail Address') && (fields.includes('Job Title') || fields.includes('Business Phone'));
+    }
+
+    get emailColumns() {
+        return ['E-mail Address', 'E-mail 2 Address', 'E-mail 3 Address'];
+    }
+
+    mapRow(row) {
+        return {
+            firstName: row['First Name'],
+            lastName: row['Last Name'],
+            email: pick(row, this.emailColumns),
+            company: row['Company'],
+            position: row['Job Title'],
+            url: row['Web Page'],
+            phone: pick(row, ['Business Phone', 'Mobile Phone', 'Primary Phone', 'Home Phone'])
+        };
+    }
+}
+
+module.exports = { OutlookAdapter };
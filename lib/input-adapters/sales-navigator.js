@@ -0,0 +1,46 @@
+const { CsvInputAdapter, pick } = require('./base');
+
+const PROFILE_URL_COLUMNS = ['LinkedIn Profile URL', 'Profile URL', 'LinkedIn URL', 'Linkedin Url', 'Public Profile URL', 'Sales Navigator URL', 'Lead URL'];
+
+/**
+ * Sales Navigator lead list export (and the usual third-party exporters built on it).
+ *
+ * Leads carry a job title instead of LinkedIn's "Position" column and a
+ * profile URL column; the company column is "Company" or "Company Name".
+ */
+class SalesNavigatorAdapter extends CsvInputAdapter {
+    get name() {
+        return 'salesnav';
+    }
+
+    get description() {
+        return 'Lista de leads de Sales Navigator';
+    }
+
+    isHeader(fields) {
+        const hasName = fields.includes('First Name') || fields.includes('Full Name') || fields.includes('Name');
+        const hasTitle = fields.includes('Title') || fields.includes('Job Title') || fields.includes('Current Title');
+        const hasProfile = fields.some(field => PROFILE_URL_COLUMNS.includes(field));
+        return hasName && hasTitle && hasProfile;
+    }
+
+    get emailColumns() {
+        return ['Email', 'Email Address', 'Work Email'];
+    }
+
+    mapRow(row) {
+        return {
+            fullName: pick(row, ['Full Name', 'Name']),
+            firstName: row['First Name'],
+            lastName: row['Last Name'],
+            email: pick(row, this.emailColumns),
+            company: pick(row, ['Company', 'Company Name', 'Current Company', 'Account Name']),
+            position: pick(row, ['Title', 'Job Title', 'Current Title']),
+            connectedOn: pick(row, ['Date Added', 'Saved On']),
+            url: pick(row, PROFILE_URL_COLUMNS),
+            phone: pick(row, ['Phone', 'Phone Number', 'Mobile Phone'])
+        };
+    }
+}
+
+module.exports = { SalesNavigatorAdapter };
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const { InputAdapter } = require('./base');
+
+/**
+ * Undo vCard text escaping (\, \; \n)
+ * @param {string} value - Escaped value
+ * @returns {string} Plain text
+ */
+function unescapeValue(value) {
+    return value.replace(/\\([\\,;nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a structured value on unescaped semicolons
+ * @param {string} value - Raw value, e.g. "Doe;John;;;"
+ * @returns {Array<string>} Unescaped components
+ */
+function splitComponents(value) {
+    return value.split(/(?<!\\);/).map(unescapeValue);
+}
+
+/**
+ * Decode a QUOTED-PRINTABLE value (vCard 2.1)
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded UTF-8 text
+ */
+function decodeQuotedPrintable(value) {
+    const bytes = [];
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(value.substr(i + 1, 2))) {
+            bytes.push(parseInt(value.substr(i + 1, 2), 16));
+            i += 2;
+        } else {
+            bytes.push(...Buffer.from(value[i], 'utf8'));
+        }
+    }
+    return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Parse one content line ("item1.EMAIL;TYPE=work:jane@acme.com")
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value }
+ */
+function parseContentLine(line) {
+    const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    if (colon === -1) return null;
+
+    const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const param of rawParams) {
+        const [key, val] = param.split('=');
+        // vCard 2.1 allows bare types: TEL;WORK;VOICE
+        if (val === undefined) params.TYPE = `${params.TYPE ? params.TYPE + ',' : ''}${key}`;
+        else params[key.toUpperCase()] = val.replace(/"/g, '');
+    }
+
+    let value = line.slice(colon + 1);
+    if ((params.ENCODING || '').toUpperCase() === 'QUOTED-PRINTABLE') {
+        value = decodeQuotedPrintable(value);
+    }
+
+    return { name: rawName.replace(/^.*\./, '').toUpperCase(), params, value };
+}
+
+/**
+ * vCard address books (.vcf), versions 2.1, 3.0 and 4.0
+ */
+class VCardAdapter extends InputAdapter {
+    get name() {
+        return 'vcard';
+    }
+
+    get description() {
+        return 'Agenda vCard (.vcf)';
+    }
+
+    get extensions() {
+        return ['.vcf', '.vcard'];
+    }
+
+    async readRows(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`El archivo ${filePath} no existe`);
+        }
+
+        const text = (await fs.promises.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+        const physical = text.split(/\r\n|\r|\n/);
+        const rows = [];
+        const malformed = [];
+        let card = null;
+        let lastLine = null;
+
+        // Unfold continuation lines (leading space/tab, or a trailing "=" in quoted-printable)
+        const lines = [];
+        physical.forEach((line, index) => {
+            if (lastLine && /^[ \t]/.test(line)) {
+                lastLine.text += line.slice(1);
+            } else if (lastLine && /ENCODING=QUOTED-PRINTABLE/i.test(lastLine.text) && lastLine.text.endsWith('=')) {
+                lastLine.text = lastLine.text.slice(0, -1) + line;
+            } else {
+                lastLine = { text: line, line: index + 1 };
+                lines.push(lastLine);
+            }
+        });
+
+        for (const { text: content, line } of lines) {
+            if (!content.trim()) continue;
+            const upper = content.trim().toUpperCase();
+
+            if (upper === 'BEGIN:VCARD') {
+                if (card) malformed.push({ line: card.line, reason: 'falta END:VCARD' });
+                card = { line, properties: [] };
+            } else if (upper === 'END:VCARD') {
+                if (card) rows.push({ row: card.properties, line: card.line });
+                card = null;
+            } else if (card) {
+                const property = parseContentLine(content);
+                if (property) card.properties.push(property);
+            }
+        }
+        if (card) malformed.push({ line: card.line, reason: 'falta END:VCARD' });
+
+        return { rows, malformed, headerLine: null };
+    }
+
+    mapRow(properties) {
+        const all = name => properties.filter(p => p.name === name);
+        const first = name => (all(name)[0] ? all(name)[0].value : '');
+        const preferred = name => {
+            const values = all(name);
+            const pref = values.find(p => /pref|work/i.test(`${p.params.TYPE || ''} ${p.params.PREF ? 'pref' : ''}`));
+            return (pref || values[0] || { value: '' }).value;
+        };
+
+        const [lastName = '', firstName = ''] = first('N') ? splitComponents(first('N')) : [];
+        const urls = all('URL').map(p => unescapeValue(p.value));
+
+        return {
+            fullName: unescapeValue(first('FN')),
+            firstName,
+            lastName,
+            email: preferred('EMAIL'),
+            company: first('ORG') ? splitComponents(first('ORG'))[0] : '',
+            position: unescapeValue(first('TITLE') || first('ROLE')),
+            url: urls.find(url => /linkedin\.com/i.test(url)) || urls[0] || '',
+            phone: preferred('TEL').replace(/^tel:/i, '')
+        };
+    }
+}
+
+module.exports = { VCardAdapter };
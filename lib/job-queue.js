@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// queued -> running -> completed | stopped (budget reached) | failed
+const JOB_STATUSES = ['queued', 'running', 'completed', 'stopped', 'failed'];
+
+const JOB_ID_PATTERN = /^[a-z0-9]+-[a-f0-9]+$/;
+
+/**
+ * Background jobs with a concurrency limit, persisted on disk.
+ *
+ * Each job lives in <dir>/<id>/ with its state in job.json, next to
+ * whatever files the runner keeps there. Jobs that were queued or running
+ * when the process ended are queued again by restore(); the runner is
+ * expected to resume them from their own progress.
+ *
+ * Events: job:start (job), job:done (job)
+ */
+class JobQueue extends EventEmitter {
+    /**
+     * @param {string} dir - Directory holding one subdirectory per job
+     * @param {number} concurrency - Jobs that run at once
+     * @param {Function} runJob - async (job) => void; may update job fields and call save()
+     */
+    constructor(dir, concurrency, runJob) {
+        super();
+        this.dir = dir;
+        this.concurrency = Math.max(1, concurrency || 1);
+        this.runJob = runJob;
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = new Set();
+        this.closed = false;
+    }
+
+    /**
+     * @param {string} id - Job id
+     * @returns {string} Directory of the job
+     */
+    jobDir(id) {
+        return path.join(this.dir, id);
+    }
+
+    /**
+     * Register a job and queue it
+     * @param {Object} fields - Job details kept in job.json
+     * @param {string} id - Id from newId(), when files were written to its directory first
+     * @returns {Object} Job
+     */
+    add(fields, id = this.newId()) {
+        const job = {
+            id,
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            restarts: 0,
+            error: '',
+            ...fields
+        };
+        this.jobs.set(id, job);
+        this.save(job);
+        this.pending.push(job);
+        this.pump();
+        return job;
+    }
+
+    /**
+     * New job id: sortable by creation time, with a random suffix
+     * @returns {string} e.g. "lz3k9x1a-4f2c9e"
+     */
+    newId() {
+        return `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    /**
+     * Persist a job's state (write-then-rename, so a crash never leaves a half-written file)
+     * @param {Object} job - Job
+     */
+    save(job) {
+        const filePath = path.join(this.jobDir(job.id), 'job.json');
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(job, null, 2));
+        fs.renameSync(`${filePath}.tmp`, filePath);
+    }
+
+    /**
+     * @param {string} id - Job id
+     * @returns {Object|null} Job, or null if unknown (or not a valid id)
+     */
+    get(id) {
+        if (!JOB_ID_PATTERN.test(String(id))) return null;
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * @returns {Array<Object>} Every job, newest first
+     */
+    list() {
+        return Array.from(this.jobs.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Load the jobs saved by earlier runs and queue the unfinished ones again, oldest first
+     * @returns {number} Number of jobs queued again
+     */
+    restore() {
+        if (!fs.existsSync(this.dir)) return 0;
+
+        const unfinished = [];
+        for (const id of fs.readdirSync(this.dir)) {
+            const filePath = path.join(this.jobDir(id), 'job.json');
+            if (!JOB_ID_PATTERN.test(id) || !fs.existsSync(filePath)) continue;
+            let job;
+            try {
+                job = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                continue;
+            }
+            this.jobs.set(job.id, job);
+            if (job.status === 'queued' || job.status === 'running') {
+                if (job.status === 'running') job.restarts++;
+                job.status = 'queued';
+                unfinished.push(job);
+            }
+        }
+
+        unfinished.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        for (const job of unfinished) {
+            this.save(job);
+            this.pending.push(job);
+        }
+        this.pump();
+        return unfinished.length;
+    }
+
+    /**
+     * Start queued jobs while there are free slots
+     */
+    pump() {
+        while (!this.closed && this.running.size < this.concurrency && this.pending.length > 0) {
+            this.start(this.pending.shift());
+        }
+    }
+
+    /**
+     * Run one job and record how it ended
+     * @param {Object} job - Job
+     * @returns {Promise<void>}
+     */
+    async start(job) {
+        this.running.add(job);
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        job.error = '';
+        this.save(job);
+        this.emit('job:start', job);
+
+        try {
+            await this.runJob(job);
+            if (job.status === 'running') job.status = 'completed';
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+        }
+
+        if (job.status !== 'queued') {
+            job.finishedAt = new Date().toISOString();
+        }
+        this.save(job);
+        this.running.delete(job);
+        this.emit('job:done', job);
+        this.pump();
+    }
+
+    /**
+     * Stop starting jobs and wait for the running ones to return
+     * (the runner decides how quickly; see LookupServer.stop)
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.closed = true;
+        while (this.running.size > 0) {
+            await new Promise(resolve => this.once('job:done', resolve));
+        }
+    }
+}
+
+module.exports = { JobQueue, JOB_STATUSES };
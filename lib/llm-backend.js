@@ -0,0 +1,180 @@
+const { OpenAI } = require('openai');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Whether an API error is the model refusing the requested response_format
+ * @param {Error} error - Error thrown by the client
+ * @returns {boolean} True for a 400 whose param or message names response_format
+ */
+function rejectsResponseFormat(error) {
+    if (error.status !== 400) return false;
+    return /response_format/i.test(`${error.param || ''} ${error.message || ''}`);
+}
+
+/**
+ * Chat-completion backend for the analysis step.
+ *
+ * Talks to OpenAI or to any OpenAI-compatible server (Ollama, llama.cpp,
+ * vLLM, LM Studio...) through the same SDK by changing the base URL. When the
+ * primary model fails and a fallback model is configured, the request is
+ * repeated once against the fallback.
+ */
+class LLMBackend {
+    /**
+     * @param {Object} config - LLM configuration section (see lib/config.js)
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.model = config.model || 'gpt-3.5-turbo';
+        this.baseUrl = config.baseUrl || OPENAI_BASE_URL;
+        this.temperature = config.temperature !== undefined ? config.temperature : 0.3;
+        this.maxTokens = config.maxTokens || 800;
+        this.fallbackModel = config.fallbackModel || null;
+        this.fallbackBaseUrl = config.fallbackBaseUrl || this.baseUrl;
+        this.jsonMode = config.jsonMode || 'json_schema'; // json_schema | json_object | off
+        this.clients = new Map();
+        // "baseUrl model" pairs that answered 400 to response_format; asked without it from then on
+        this.withoutResponseFormat = new Set();
+        this.onWarning = () => {};
+    }
+
+    /**
+     * Whether a base URL points to a local/self-hosted server rather than OpenAI
+     * @param {string} baseUrl - Base URL to check
+     * @returns {boolean} True for anything other than api.openai.com
+     */
+    isLocal(baseUrl = this.baseUrl) {
+        return !/(^|\.)openai\.com(\/|:|$)/i.test(baseUrl.replace(/^https?:\/\//, ''));
+    }
+
+    /**
+     * Whether this backend needs an API key to work
+     * @returns {boolean} True if any configured endpoint is hosted OpenAI
+     */
+    requiresApiKey() {
+        if (!this.isLocal(this.baseUrl)) return true;
+        return Boolean(this.fallbackModel) && !this.isLocal(this.fallbackBaseUrl);
+    }
+
+    /**
+     * Check the backend has what it needs to run
+     * @returns {string|null} Error message, or null if configuration is usable
+     */
+    validate() {
+        if (this.requiresApiKey() && !this.config.apiKey) {
+            return 'OPENAI_API_KEY no está configurada en las variables de entorno (o configura LLM_BASE_URL para usar un modelo local)';
+        }
+        return null;
+    }
+
+    /**
+     * Everything that determines a completion, for keying the response cache
+     * @param {Array} messages - Chat messages
+     * @param {Object} options - Extra request parameters
+     * @returns {Object} Model, endpoint, sampling settings, messages and options
+     */
+    requestSignature(messages, options = {}) {
+        return {
+            model: this.model,
+            baseUrl: this.baseUrl,
+            fallbackModel: this.fallbackModel,
+            temperature: this.temperature,
+            maxTokens: this.maxTokens,
+            messages,
+            options
+        };
+    }
+
+    /**
+     * Get (and cache) an SDK client for a base URL
+     * @param {string} baseUrl - API base URL
+     * @returns {OpenAI} Client instance
+     */
+    getClient(baseUrl) {
+        if (!this.clients.has(baseUrl)) {
+            this.clients.set(baseUrl, new OpenAI({
+                apiKey: this.config.apiKey || 'not-needed', // local servers ignore the key but the SDK requires one
+                baseURL: baseUrl,
+                timeout: this.config.timeout || 60000,
+                maxRetries: 0
+            }));
+        }
+        return this.clients.get(baseUrl);
+    }
+
+    /**
+     * Send a chat completion to a specific model/endpoint
+     * @param {string} model - Model name
+     * @param {string} baseUrl - API base URL
+     * @param {Array} messages - Chat messages
+     * @param {Object} options - Extra request parameters
+     * @returns {Promise<Object>} Completion: { text, model, usage, raw }
+     */
+    async request(model, baseUrl, messages, options = {}) {
+        const create = params => this.getClient(baseUrl).chat.completions.create({
+            model,
+            messages,
+            max_tokens: this.maxTokens,
+            temperature: this.temperature,
+            ...params
+        });
+        const { response_format: responseFormat, ...plain } = options;
+        const endpoint = `${baseUrl} ${model}`;
+
+        let response;
+        if (!responseFormat || this.withoutResponseFormat.has(endpoint)) {
+            response = await create(plain);
+        } else {
+            try {
+                response = await create(options);
+            } catch (error) {
+                // Models without this JSON mode (gpt-3.5-turbo with json_schema, some local
+                // servers) reject the request; the prompt still asks for JSON. Other 400s
+                // (context length, unknown model) aren't about the format and go up as they are.
+                if (!rejectsResponseFormat(error)) throw error;
+                response = await create(plain);
+                this.withoutResponseFormat.add(endpoint);
+                this.onWarning(`⚠️ ${model} rechazó response_format (${responseFormat.type}): se pide el JSON solo en el prompt (${error.message})`);
+            }
+        }
+
+        const choice = (response.choices && response.choices[0]) || {};
+        return {
+            text: (choice.message && choice.message.content) || '',
+            model: response.model || model,
+            usage: response.usage || null,
+            raw: response
+        };
+    }
+
+    /**
+     * Run a chat completion, falling back to the secondary model on failure
+     * @param {Array} messages - Chat messages
+     * @param {Object} options - Extra request parameters (e.g. response_format)
+     * @returns {Promise<Object>} Completion: { text, model, usage, raw, usedFallback }
+     */
+    async complete(messages, options = {}) {
+        try {
+            const result = await this.request(this.model, this.baseUrl, messages, options);
+            return { ...result, usedFallback: false };
+        } catch (error) {
+            if (!this.fallbackModel) throw error;
+
+            this.onWarning(`⚠️ Error con el modelo ${this.model}, usando ${this.fallbackModel}: ${error.message}`);
+            const result = await this.request(this.fallbackModel, this.fallbackBaseUrl, messages, options);
+            return { ...result, usedFallback: true };
+        }
+    }
+}
+
+/**
+ * Create the LLM backend from configuration
+ * @param {Object} config - LLM configuration section
+ * @returns {LLMBackend} Backend instance
+ */
+function createLLMBackend(config = {}) {
+    return new LLMBackend(config);
+}
+
+module.exports = { LLMBackend, createLLMBackend };
@@ -0,0 +1,233 @@
+const { normalizeCompanyName } = require('./domain-resolver');
+
+/**
+ * Person name normalization.
+ *
+ * Contact exports carry names like "Dr. María José Pérez-Núñez, PhD 🚀" or
+ * "John Smith | Helping SaaS teams grow". This module turns them into a clean
+ * display name, a first/last split that understands particles (de, van, da)
+ * and compound surnames, ASCII-folded tokens for email local parts, and stable
+ * connection keys.
+ */
+
+// Titles that precede a name ("Dr.", "Ing.", "Lic.")
+const HONORIFICS = new Set([
+    'dr', 'dra', 'doctor', 'doctora', 'mr', 'mrs', 'ms', 'miss', 'mx', 'sr', 'sra', 'srta', 'senor', 'senora',
+    'prof', 'profesor', 'profesora', 'ing', 'lic', 'licenciado', 'licenciada', 'arq', 'cr', 'cra', 'cpn',
+    'abog', 'esc', 'sir', 'dame', 'rev', 'hon', 'herr', 'frau', 'mme', 'mlle', 'dott', 'avv'
+]);
+
+// Degrees, certifications and generational suffixes that follow a name
+const CREDENTIALS = new Set([
+    'phd', 'dphil', 'md', 'mba', 'emba', 'msc', 'ms', 'ma', 'meng', 'mph', 'mpa', 'bsc', 'ba', 'bs', 'beng',
+    'cpa', 'cfa', 'cfp', 'frm', 'acca', 'pmp', 'csm', 'cspo', 'psm', 'cissp', 'cism', 'cisa', 'shrmcp', 'shrmscp',
+    'phr', 'sphr', 'pe', 'esq', 'jd', 'llm', 'dds', 'rn', 'np', 'itil', 'six sigma', 'jr', 'sr', 'ii', 'iii', 'iv'
+]);
+
+// Credentials safe to strip without a comma in front ("Jane Doe PhD"); short ones like "ma" can be surnames
+const TRAILING_CREDENTIALS = new Set(['phd', 'mba', 'cpa', 'cfa', 'pmp', 'cissp', 'esq', 'jr', 'ii', 'iii', 'iv', 'msc', 'bsc']);
+
+// Surname particles: the surname starts at the first one ("Ludwig van Beethoven", "Ana de la Fuente")
+const PARTICLES = new Set([
+    'de', 'del', 'della', 'der', 'den', 'di', 'da', 'das', 'do', 'dos', 'du', 'la', 'le', 'las', 'los',
+    'van', 'von', 'ter', 'ten', 'zu', 'bin', 'ibn', 'al', 'el', 'mac', 'st', 'y'
+]);
+
+// Two-word given names, so "María José Pérez" keeps "María José" as the first name
+const COMPOUND_FIRST_NAMES = new Set([
+    'maria jose', 'jose maria', 'maria luisa', 'maria laura', 'maria jesus', 'maria fernanda', 'maria eugenia',
+    'maria paula', 'maria belen', 'maria ines', 'maria elena', 'maria victoria', 'maria sol', 'maria cecilia',
+    'juan pablo', 'juan carlos', 'juan manuel', 'juan jose', 'juan cruz', 'juan martin', 'juan ignacio',
+    'jose luis', 'jose antonio', 'jose manuel', 'jose ignacio', 'luis miguel', 'miguel angel', 'ana maria',
+    'ana laura', 'ana paula', 'ana sofia', 'ana clara', 'maria clara', 'pedro pablo', 'jean pierre', 'jean paul',
+    'jean claude', 'jean luc', 'jean marc', 'jean francois', 'marie claire', 'anne marie', 'mary ann', 'mary jane'
+]);
+
+// Letters that don't decompose into ASCII + combining marks
+const SPECIAL_LETTERS = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i', 'ħ': 'h'
+};
+
+/**
+ * Lowercase and strip accents and special letters, keeping only ASCII letters and digits
+ * @param {string} value - Text to fold
+ * @returns {string} ASCII-folded text ("Núñez-Ørsted" -> "nunezorsted")
+ */
+function foldAscii(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/[ßæœøłđðþıħ]/g, char => SPECIAL_LETTERS[char])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Whether a comma-separated tail is only credentials ("PhD", "MBA, CPA", "M.Sc.", "Ph.D.")
+ * @param {string} part - Text after a comma
+ * @returns {boolean} True if every word is a known credential or an all-caps abbreviation
+ */
+function isCredentialTail(part) {
+    const words = part.trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+    // Multi-word credentials ("SHRM-CP", "Six Sigma")
+    if (CREDENTIALS.has(foldAscii(part)) || CREDENTIALS.has(words.map(foldAscii).join(' '))) {
+        return true;
+    }
+    return words.every(word => CREDENTIALS.has(foldAscii(word)) || /^[A-Z][A-Z0-9.&-]{1,5}$/.test(word));
+}
+
+/**
+ * Clean a raw name for display, searching and splitting: drops emoji and
+ * symbols, headlines after "|" or " - ", bracketed or quoted notes,
+ * honorifics and trailing credentials
+ * @param {string} raw - Name as found in the contacts file
+ * @returns {string} Clean name ("Dr. María José Pérez-Núñez, PhD 🚀" -> "María José Pérez-Núñez")
+ */
+function cleanName(raw) {
+    let name = String(raw || '')
+        .normalize('NFC')
+        .replace(/[\p{Extended_Pictographic}\p{Regional_Indicator}\p{So}\u200d\ufe0f\u20e3]/gu, ' ')
+        // Headlines appended to the name ("Jane Doe | Sales Leader", "Jane Doe – CEO")
+        .replace(/\s+[|•·–—]\s+.*$/, '')
+        .replace(/\s+-\s+.*$/, '')
+        .replace(/\s*[([{][^)\]}]*[)\]}]/g, ' ')
+        .replace(/\s*["“”«»][^"“”«»]*["“”«»]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // Everything after a comma that is only credentials ("Pérez, PhD", "Doe, MBA, CPA")
+    const commaParts = name.split(',');
+    while (commaParts.length > 1 && isCredentialTail(commaParts[commaParts.length - 1])) {
+        commaParts.pop();
+    }
+    // Whatever comma is left is "Last, First" ordering
+    name = commaParts.length === 2
+        ? `${commaParts[1].trim()} ${commaParts[0].trim()}`
+        : commaParts.join(' ');
+
+    let tokens = name.split(' ').filter(Boolean);
+    while (tokens.length > 1 && HONORIFICS.has(foldAscii(tokens[0]))) {
+        tokens.shift();
+    }
+    while (tokens.length > 1 && TRAILING_CREDENTIALS.has(foldAscii(tokens[tokens.length - 1]))) {
+        tokens.pop();
+    }
+
+    // Stray punctuation left at either end of a token ("Pérez," ".Jane")
+    tokens = tokens
+        .map(token => token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}.']+$/gu, ''))
+        .filter(Boolean);
+    return tokens.join(' ');
+}
+
+/**
+ * Split a name into first and last name
+ * @param {string} fullName - Full name (cleaned or raw)
+ * @returns {Object} { firstName, lastName }
+ */
+function splitFullName(fullName) {
+    const tokens = cleanName(fullName).split(' ').filter(Boolean);
+    if (tokens.length <= 1) {
+        return { firstName: tokens[0] || '', lastName: '' };
+    }
+
+    // The surname starts at the first particle, as long as something follows it
+    const particleIndex = tokens.findIndex((token, index) => (
+        index > 0 && index < tokens.length - 1 && PARTICLES.has(foldAscii(token))
+    ));
+    if (particleIndex !== -1) {
+        return { firstName: tokens.slice(0, particleIndex).join(' '), lastName: tokens.slice(particleIndex).join(' ') };
+    }
+
+    const firstCount = tokens.length >= 3 && COMPOUND_FIRST_NAMES.has(`${foldAscii(tokens[0])} ${foldAscii(tokens[1])}`) ? 2 : 1;
+    return { firstName: tokens.slice(0, firstCount).join(' '), lastName: tokens.slice(firstCount).join(' ') };
+}
+
+/**
+ * ASCII tokens of a name for building email local parts. Compound surnames
+ * are offered joined ("pereznunez", "delafuente") and as the main surname only
+ * ("perez", "fuente"), skipping particles.
+ * @param {string} firstName - First name
+ * @param {string} lastName - Last name
+ * @returns {Object} { first, lastVariants: { full, first } }
+ */
+function emailNameTokens(firstName, lastName) {
+    const firstParts = cleanName(firstName).split(/\s+/).map(foldAscii).filter(Boolean);
+    const lastParts = cleanName(lastName).split(/[\s-]+/).filter(Boolean);
+    const mainSurname = lastParts.find(part => !PARTICLES.has(foldAscii(part))) || lastParts[0] || '';
+
+    return {
+        first: firstParts[0] || '',
+        lastVariants: {
+            full: lastParts.map(foldAscii).join(''),
+            first: foldAscii(mainSurname)
+        }
+    };
+}
+
+/**
+ * Normalize a LinkedIn profile URL for comparison
+ * ("https://www.linkedin.com/in/Jos%C3%A9-P/?utm=x" -> "linkedin.com/in/josé-p")
+ * @param {string} url - Profile URL
+ * @returns {string} Normalized URL
+ */
+function normalizeProfileUrl(url) {
+    let value = String(url || '').trim();
+    try {
+        value = decodeURI(value);
+    } catch (error) {
+        // Malformed escapes: compare the URL as written
+    }
+    return value
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/^([a-z]{2,3}|www)\./, '')
+        .replace(/[?#].*$/, '')
+        .replace(/\/+$/, '');
+}
+
+/**
+ * Name part of a connection key: clean, ASCII-folded words
+ * @param {string} name - Full name
+ * @returns {string} e.g. "maria jose pereznunez"
+ */
+function nameKey(name) {
+    return cleanName(name).split(/\s+/).map(foldAscii).filter(Boolean).join(' ');
+}
+
+/**
+ * Stable key for a person: their profile URL when there is one, otherwise
+ * the normalized name and company
+ * @param {Object} person - { name, company, url }
+ * @returns {string} Key ("url:linkedin.com/in/jane-doe" or "jane doe|acme")
+ */
+function buildConnectionKey({ name, company = '', url = '' }) {
+    const profile = normalizeProfileUrl(url);
+    if (profile && profile.includes('/')) {
+        return `url:${profile}`;
+    }
+    return `${nameKey(name)}|${normalizeCompanyName(company)}`;
+}
+
+/**
+ * Key format used before names were normalized, for migrating existing progress files
+ * @param {string} name - Full name
+ * @param {string} company - Company name
+ * @returns {string} Lowercased "name|company"
+ */
+function legacyConnectionKey(name, company = '') {
+    return `${name}|${company}`.toLowerCase().trim();
+}
+
+module.exports = {
+    cleanName,
+    splitFullName,
+    emailNameTokens,
+    foldAscii,
+    normalizeProfileUrl,
+    nameKey,
+    buildConnectionKey,
+    legacyConnectionKey,
+    PARTICLES
+};
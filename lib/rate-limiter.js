@@ -0,0 +1,108 @@
+/**
+ * Token bucket: holds up to `capacity` units and refills continuously at
+ * `capacity` units per `intervalMs`. The balance may go negative when actual
+ * usage turns out higher than reserved, which delays later callers.
+ */
+class TokenBucket {
+    /**
+     * @param {number} capacity - Units available per interval (0 or less disables the limit)
+     * @param {number} intervalMs - Refill interval in milliseconds
+     */
+    constructor(capacity, intervalMs = 60000) {
+        this.capacity = capacity;
+        this.intervalMs = intervalMs;
+        this.available = capacity;
+        this.lastRefill = Date.now();
+    }
+
+    /**
+     * Whether this bucket enforces a limit
+     * @returns {boolean} True if a positive capacity is configured
+     */
+    get enabled() {
+        return this.capacity > 0;
+    }
+
+    /**
+     * Add the units accrued since the last refill
+     */
+    refill() {
+        const now = Date.now();
+        const elapsed = now - this.lastRefill;
+        this.available = Math.min(this.capacity, this.available + (elapsed * this.capacity) / this.intervalMs);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Milliseconds until `amount` units are available
+     * @param {number} amount - Units needed
+     * @returns {number} Wait time (0 if available now)
+     */
+    waitTime(amount) {
+        this.refill();
+        // A single request larger than the bucket only has to wait for a full bucket
+        const needed = Math.min(amount, this.capacity);
+        if (this.available >= needed) return 0;
+        return Math.ceil(((needed - this.available) * this.intervalMs) / this.capacity);
+    }
+
+    /**
+     * Remove units from the bucket without waiting
+     * @param {number} amount - Units to remove (negative to give units back)
+     */
+    consume(amount) {
+        this.refill();
+        this.available = Math.min(this.capacity, this.available - amount);
+    }
+}
+
+/**
+ * Rate limiter with a requests-per-minute and an optional tokens-per-minute
+ * budget. Callers are served in FIFO order so concurrent workers can't starve
+ * each other.
+ */
+class RateLimiter {
+    /**
+     * @param {Object} options - { requestsPerMinute, tokensPerMinute } (0 = unlimited)
+     */
+    constructor({ requestsPerMinute = 0, tokensPerMinute = 0 } = {}) {
+        this.requests = new TokenBucket(requestsPerMinute);
+        this.tokens = new TokenBucket(tokensPerMinute);
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Wait until one request (and the estimated tokens) fits in the budget, then reserve it
+     * @param {number} estimatedTokens - Tokens the request is expected to use
+     * @returns {Promise<void>}
+     */
+    acquire(estimatedTokens = 0) {
+        const turn = this.queue.then(async () => {
+            for (;;) {
+                const wait = Math.max(
+                    this.requests.enabled ? this.requests.waitTime(1) : 0,
+                    this.tokens.enabled && estimatedTokens > 0 ? this.tokens.waitTime(estimatedTokens) : 0
+                );
+                if (wait === 0) break;
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            if (this.requests.enabled) this.requests.consume(1);
+            if (this.tokens.enabled && estimatedTokens > 0) this.tokens.consume(estimatedTokens);
+        });
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    /**
+     * Correct the token reservation once the real usage is known
+     * @param {number} estimatedTokens - Tokens reserved in acquire()
+     * @param {number} actualTokens - Tokens actually used
+     */
+    settle(estimatedTokens, actualTokens) {
+        if (this.tokens.enabled && Number.isFinite(actualTokens)) {
+            this.tokens.consume(actualTokens - estimatedTokens);
+        }
+    }
+}
+
+module.exports = { RateLimiter, TokenBucket };
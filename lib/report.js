@@ -0,0 +1,325 @@
+const { CONFIDENCE_LEVELS, cleanConfidence } = require('./analysis');
+const { formatUsd } = require('./cost-tracker');
+
+// Gaps longer than this between two saved results are treated as pauses between runs
+const IDLE_GAP_MS = 10 * 60 * 1000;
+
+// Companies need at least this many lookups to be ranked by hit rate
+const MIN_COMPANY_LOOKUPS = 2;
+
+/**
+ * Count values by key
+ * @param {Array} items - Items to count
+ * @param {Function} keyOf - (item) => key
+ * @returns {Object} { key: count }, ordered by count descending
+ */
+function countBy(items, keyOf) {
+    const counts = {};
+    for (const item of items) {
+        const key = keyOf(item);
+        counts[key] = (counts[key] || 0) + 1;
+    }
+    return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+}
+
+/**
+ * Rate as a percentage with one decimal
+ * @param {number} part - Numerator
+ * @param {number} total - Denominator
+ * @returns {number} Percentage (0 when total is 0)
+ */
+function percent(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Average time between saved results, ignoring pauses between runs
+ * @param {Array<Object>} results - Stored results with recordedAt
+ * @returns {number|null} Milliseconds per lookup, or null without enough data
+ */
+function msPerLookup(results) {
+    const times = results
+        .map(r => Date.parse(r.recordedAt))
+        .filter(Number.isFinite)
+        .sort((a, b) => a - b);
+
+    let activeMs = 0;
+    let gaps = 0;
+    for (let i = 1; i < times.length; i++) {
+        const gap = times[i] - times[i - 1];
+        if (gap <= IDLE_GAP_MS) {
+            activeMs += gap;
+            gaps++;
+        }
+    }
+    return gaps > 0 ? activeMs / gaps : null;
+}
+
+/**
+ * Rank companies by the share of lookups that found an email
+ * @param {Array<Object>} results - Completed (non-error) results
+ * @param {number} limit - Number of companies to return
+ * @returns {Array<Object>} [{ company, lookups, found, rate }]
+ */
+function rankCompanies(results, limit) {
+    const companies = new Map();
+    for (const result of results) {
+        const company = (result.company || '').trim();
+        if (!company) continue;
+        const entry = companies.get(company.toLowerCase()) || { company, lookups: 0, found: 0 };
+        entry.lookups++;
+        if (result.email) entry.found++;
+        companies.set(company.toLowerCase(), entry);
+    }
+
+    let ranked = Array.from(companies.values());
+    const repeated = ranked.filter(entry => entry.lookups >= MIN_COMPANY_LOOKUPS);
+    if (repeated.length > 0) ranked = repeated;
+
+    return ranked
+        .map(entry => ({ ...entry, rate: percent(entry.found, entry.lookups) }))
+        .sort((a, b) => b.rate - a.rate || b.found - a.found || a.company.localeCompare(b.company))
+        .slice(0, limit);
+}
+
+/**
+ * Build the progress report for a result store
+ * @param {Array<Object>} results - Latest stored result per connection
+ * @param {Object} options - { connections, keyOf, startTime, lastUpdate, pricePer1kTokens, topCompanies }
+ * @returns {Object} Report (plain data, safe to serialize as JSON)
+ */
+function buildReport(results, options = {}) {
+    const completed = results.filter(r => r.status !== 'error');
+    const errors = results.filter(r => r.status === 'error');
+    const found = completed.filter(r => r.email);
+
+    // Remaining work is only known when the input file could be read
+    let input = null;
+    if (options.connections) {
+        const processedKeys = new Set(completed.map(r => r.key));
+        const missing = options.connections.filter(conn => !conn['Email']);
+        input = {
+            contacts: options.connections.length,
+            withEmail: options.connections.length - missing.length,
+            missing: missing.length,
+            remaining: missing.filter(conn => !processedKeys.has(options.keyOf(conn))).length
+        };
+    }
+
+    const confidence = {};
+    for (const level of CONFIDENCE_LEVELS) confidence[level] = 0;
+    for (const result of found) confidence[cleanConfidence(result.confidence)]++;
+
+    // Tokens are only recorded by newer versions; average over the lookups that have them
+    const withTokens = completed.filter(r => typeof r.tokens === 'number');
+    const tokensUsed = withTokens.reduce((sum, r) => sum + r.tokens, 0);
+    const tokensPerLookup = withTokens.length > 0 ? tokensUsed / withTokens.length : null;
+    const price = options.pricePer1kTokens || 0;
+    // Per-model cost when the result has it, the blended price for older results
+    const costOf = r => (typeof r.cost === 'number' ? r.cost : ((r.tokens || 0) / 1000) * price);
+    const costSoFar = results.reduce((sum, r) => sum + costOf(r), 0);
+    const costPerLookup = withTokens.length > 0 ? withTokens.reduce((sum, r) => sum + costOf(r), 0) / withTokens.length : null;
+    const roundCost = amount => Math.round(amount * 10000) / 10000;
+
+    const perLookup = msPerLookup(results);
+    const remaining = input ? input.remaining : null;
+
+    return {
+        generatedAt: new Date().toISOString(),
+        startTime: options.startTime || null,
+        lastUpdate: options.lastUpdate || null,
+        input,
+        processed: {
+            total: results.length,
+            completed: completed.length,
+            found: found.length,
+            notFound: completed.length - found.length,
+            errors: errors.length,
+            foundRate: percent(found.length, completed.length)
+        },
+        confidence,
+        validation: countBy(found, r => r.emailStatus || 'unchecked'),
+        methods: countBy(found, r => r.method || 'llm'),
+        evidence: countBy(found, r => r.evidence || 'unchecked'),
+        errors: countBy(errors, r => r.errorCode || 'unknown'),
+        topCompanies: rankCompanies(completed, options.topCompanies || 10),
+        estimate: {
+            msPerLookup: perLookup === null ? null : Math.round(perLookup),
+            remainingMs: perLookup === null || remaining === null ? null : Math.round(perLookup * remaining),
+            tokensUsed,
+            tokensPerLookup: tokensPerLookup === null ? null : Math.round(tokensPerLookup),
+            costSoFar: roundCost(costSoFar),
+            costPerFound: found.length > 0 ? roundCost(costSoFar / found.length) : null,
+            remainingCost: costPerLookup === null || remaining === null ? null : roundCost(costPerLookup * remaining)
+        }
+    };
+}
+
+/**
+ * Human-readable duration
+ * @param {number|null} ms - Milliseconds
+ * @returns {string} e.g. "2h 15m", "45s", or "-" if unknown
+ */
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Turn the report into labelled sections of rows (shared by the table and HTML output)
+ * @param {Object} report - Result of buildReport
+ * @returns {Array<Object>} [{ title, headers, rows }]
+ */
+function reportSections(report) {
+    const p = report.processed;
+    const e = report.estimate;
+    const sections = [];
+
+    const progressRows = [];
+    if (report.input) {
+        progressRows.push(['Contactos en la entrada', report.input.contacts]);
+        progressRows.push(['Ya tenían email', report.input.withEmail]);
+        progressRows.push(['Sin email', report.input.missing]);
+    }
+    progressRows.push(['Procesados', p.completed]);
+    progressRows.push(['Pendientes', report.input ? report.input.remaining : '-']);
+    progressRows.push(['Emails encontrados', `${p.found} (${p.foundRate}%)`]);
+    progressRows.push(['Sin email encontrado', p.notFound]);
+    progressRows.push(['Con error', p.errors]);
+    sections.push({ title: 'Progreso', headers: ['', ''], rows: progressRows });
+
+    const distribution = (counts, total) => Object.entries(counts).map(([key, count]) => [key, count, `${percent(count, total)}%`]);
+    sections.push({ title: 'Confianza', headers: ['Nivel', 'Emails', '%'], rows: distribution(report.confidence, p.found) });
+    sections.push({ title: 'Validación', headers: ['Estado', 'Emails', '%'], rows: distribution(report.validation, p.found) });
+    sections.push({ title: 'Método', headers: ['Método', 'Emails', '%'], rows: distribution(report.methods, p.found) });
+    sections.push({ title: 'Evidencia', headers: ['Evidencia', 'Emails', '%'], rows: distribution(report.evidence, p.found) });
+
+    if (p.errors > 0) {
+        sections.push({ title: 'Errores', headers: ['Código', 'Búsquedas', '%'], rows: distribution(report.errors, p.errors) });
+    }
+
+    sections.push({
+        title: 'Empresas con mejor tasa de acierto',
+        headers: ['Empresa', 'Búsquedas', 'Encontrados', 'Tasa'],
+        rows: report.topCompanies.map(c => [c.company, c.lookups, c.found, `${c.rate}%`])
+    });
+
+    sections.push({
+        title: 'Estimación',
+        headers: ['', ''],
+        rows: [
+            ['Tiempo por búsqueda', formatDuration(e.msPerLookup)],
+            ['Tiempo restante', formatDuration(e.remainingMs)],
+            ['Tokens usados', e.tokensUsed],
+            ['Tokens por búsqueda', e.tokensPerLookup === null ? '-' : e.tokensPerLookup],
+            ['Costo hasta ahora', formatUsd(e.costSoFar)],
+            ['Costo por email encontrado', formatUsd(e.costPerFound)],
+            ['Costo restante', formatUsd(e.remainingCost)]
+        ]
+    });
+
+    return sections;
+}
+
+/**
+ * Render the report as plain-text tables for the terminal
+ * @param {Object} report - Result of buildReport
+ * @returns {string} Text report
+ */
+function formatReportTable(report) {
+    const lines = [];
+
+    for (const section of reportSections(report)) {
+        lines.push('', `📊 ${section.title}`);
+        if (section.rows.length === 0) {
+            lines.push('   (sin datos)');
+            continue;
+        }
+
+        const hasHeader = section.headers.some(Boolean);
+        const all = hasHeader ? [section.headers, ...section.rows] : section.rows;
+        const widths = section.headers.map((_, col) => Math.max(...all.map(row => String(row[col]).length)));
+        const format = row => '   ' + row.map((cell, col) => {
+            const text = String(cell);
+            // Numbers line up on the right, labels on the left
+            return col > 0 ? text.padStart(widths[col]) : text.padEnd(widths[col]);
+        }).join('  ');
+
+        if (hasHeader) {
+            lines.push(format(section.headers));
+            lines.push('   ' + widths.map(width => '-'.repeat(width)).join('  '));
+        }
+        section.rows.forEach(row => lines.push(format(row)));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the report as a self-contained HTML page (inline CSS, no external assets)
+ * @param {Object} report - Result of buildReport
+ * @returns {string} HTML document
+ */
+function renderReportHtml(report) {
+    const tables = reportSections(report).map(section => {
+        const head = section.headers.some(Boolean)
+            ? `<thead><tr>${section.headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>`
+            : '';
+        const body = section.rows.length === 0
+            ? `<tr><td colspan="${section.headers.length}" class="empty">Sin datos</td></tr>`
+            : section.rows.map(row => `<tr>${row.map((cell, col) => `<td${col > 0 ? ' class="num"' : ''}>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+        return `<section>\n<h2>${escapeHtml(section.title)}</h2>\n<table>${head}<tbody>\n${body}\n</tbody></table>\n</section>`;
+    }).join('\n');
+
+    const p = report.processed;
+    const total = report.input ? report.input.missing : p.completed;
+    const done = percent(Math.min(p.completed, total), total);
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>LinkedIn Email Finder - Reporte</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem auto; max-width: 960px; color: #222; padding: 0 1rem; }
+h1 { font-size: 1.5rem; }
+h2 { font-size: 1.1rem; margin-top: 2rem; border-bottom: 1px solid #ddd; padding-bottom: .3rem; }
+.meta { color: #666; font-size: .9rem; }
+.bar { background: #eee; border-radius: 4px; height: 1.2rem; overflow: hidden; margin: 1rem 0 .3rem; }
+.bar span { display: block; height: 100%; background: #0a66c2; }
+table { border-collapse: collapse; min-width: 50%; }
+th, td { padding: .3rem .8rem; border-bottom: 1px solid #eee; text-align: left; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+td.empty { color: #999; font-style: italic; }
+section { display: inline-block; vertical-align: top; margin-right: 2rem; }
+</style>
+</head>
+<body>
+<h1>📊 LinkedIn Email Finder - Reporte</h1>
+<p class="meta">Generado: ${escapeHtml(new Date(report.generatedAt).toLocaleString())}${report.startTime ? ` · Inicio: ${escapeHtml(new Date(report.startTime).toLocaleString())}` : ''}${report.lastUpdate ? ` · Última actualización: ${escapeHtml(new Date(report.lastUpdate).toLocaleString())}` : ''}</p>
+<div class="bar"><span style="width: ${done}%"></span></div>
+<p class="meta">${done}% procesado · ${p.found} emails encontrados (${p.foundRate}%)</p>
+${tables}
+</body>
+</html>
+`;
+}
+
+module.exports = { buildReport, formatReportTable, renderReportHtml, formatDuration };
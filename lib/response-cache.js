@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KINDS = ['search', 'llm'];
+
+/**
+ * Normalize a search query so trivially different spellings share an entry
+ * @param {string} query - Search query
+ * @returns {string} NFC, lowercased, single-spaced query
+ */
+function normalizeQuery(query) {
+    return String(query || '').normalize('NFC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Content hash of a cache key
+ * @param {string} kind - Entry kind (search, llm)
+ * @param {Object} material - Everything that determines the response
+ * @returns {string} SHA-256 hex digest
+ */
+function hashKey(kind, material) {
+    return crypto.createHash('sha256').update(JSON.stringify({ kind, ...material })).digest('hex');
+}
+
+/**
+ * Error raised in offline mode when a response isn't cached
+ * @param {string} kind - Entry kind (search, llm)
+ * @returns {Error} Error with code CACHE_MISS
+ */
+function cacheMissError(kind) {
+    const error = new Error(kind === 'search'
+        ? 'Búsqueda sin respuesta en caché (modo offline)'
+        : 'Análisis de IA sin respuesta en caché (modo offline)');
+    error.code = 'CACHE_MISS';
+    return error;
+}
+
+/**
+ * Content-addressed disk cache of web search responses and model outputs.
+ *
+ * Each entry is a JSON file named after the SHA-256 of what determines the
+ * response: the provider and normalized query for searches, the model,
+ * sampling settings and full prompt for LLM calls. Re-running the same
+ * lookups (after --reset, or with new extraction logic) then costs nothing.
+ * Entries older than the TTL are refetched; in offline mode only cached
+ * entries are served, expired or not, and a miss is an error.
+ *
+ * Layout: <dir>/<kind>/<first two hash chars>/<hash>.json
+ */
+class ResponseCache {
+    /**
+     * @param {Object} config - Cache configuration section (see lib/config.js)
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.enabled = config.enabled !== false || Boolean(config.offline);
+        this.offline = Boolean(config.offline);
+        this.dir = config.dir || 'response_cache';
+        this.ttlMs = (config.ttlHours || 0) * 60 * 60 * 1000;
+        this.stats = {};
+        for (const kind of KINDS) {
+            this.stats[kind] = { hits: 0, misses: 0, expired: 0, writes: 0 };
+        }
+        this.onWarning = () => {};
+    }
+
+    /**
+     * @param {string} kind - Entry kind
+     * @param {string} hash - Content hash
+     * @returns {string} Path of the entry file
+     */
+    entryPath(kind, hash) {
+        return path.join(this.dir, kind, hash.slice(0, 2), `${hash}.json`);
+    }
+
+    /**
+     * Read a cached response
+     * @param {string} kind - Entry kind (search, llm)
+     * @param {Object} material - Cache key material
+     * @returns {Object|undefined} { value, createdAt }, or undefined on a miss or expired entry
+     */
+    get(kind, material) {
+        if (!this.enabled) return undefined;
+        const stats = this.stats[kind];
+        const filePath = this.entryPath(kind, hashKey(kind, material));
+
+        let entry;
+        try {
+            entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            // Missing, or a file left half-written by an older crash: both count as a miss
+            stats.misses++;
+            return undefined;
+        }
+
+        const age = Date.now() - Date.parse(entry.createdAt);
+        if (!this.offline && this.ttlMs > 0 && !(age <= this.ttlMs)) {
+            stats.expired++;
+            stats.misses++;
+            return undefined;
+        }
+        stats.hits++;
+        return entry;
+    }
+
+    /**
+     * Store a response (write-then-rename, so readers never see a partial file)
+     * @param {string} kind - Entry kind (search, llm)
+     * @param {Object} material - Cache key material
+     * @param {*} value - Response to store (must be JSON-serializable)
+     * @param {Object} info - Readable details kept next to the value (query, model)
+     */
+    set(kind, material, value, info = {}) {
+        if (!this.enabled) return;
+        const hash = hashKey(kind, material);
+        const filePath = this.entryPath(kind, hash);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify({ kind, hash, createdAt: new Date().toISOString(), ...info, value }));
+            fs.renameSync(tmpPath, filePath);
+            this.stats[kind].writes++;
+        } catch (error) {
+            this.onWarning(`⚠️ Error guardando en la caché de respuestas: ${error.message}`);
+        }
+    }
+
+    /**
+     * Serve a response from the cache, or produce and store it
+     * @param {string} kind - Entry kind (search, llm)
+     * @param {Object} material - Cache key material
+     * @param {Function} produce - async () => value, called on a miss
+     * @param {Object} info - Readable details stored with the entry
+     * @param {Function} shouldStore - (value) => boolean; values it rejects are returned but not cached
+     * @returns {Promise<Object>} { value, cached }
+     */
+    async remember(kind, material, produce, info = {}, shouldStore = () => true) {
+        const entry = this.get(kind, material);
+        if (entry) {
+            return { value: entry.value, cached: true };
+        }
+        if (this.offline) {
+            throw cacheMissError(kind);
+        }
+
+        const value = await produce();
+        if (shouldStore(value)) {
+            this.set(kind, material, value, info);
+        }
+        return { value, cached: false };
+    }
+
+    /**
+     * Whether any lookup went through the cache
+     * @returns {boolean} True if there were hits or misses
+     */
+    get used() {
+        return KINDS.some(kind => this.stats[kind].hits + this.stats[kind].misses > 0);
+    }
+
+    /**
+     * One-line hit/miss summary, for logs
+     * @returns {string} e.g. "búsquedas: 8 aciertos, 2 sin caché (80%) · IA: ..."
+     */
+    describe() {
+        const labels = { search: 'búsquedas', llm: 'IA' };
+        return KINDS.map(kind => {
+            const { hits, misses, expired } = this.stats[kind];
+            const total = hits + misses;
+            const rate = total > 0 ? ` (${Math.round((hits / total) * 100)}%)` : '';
+            return `${labels[kind]}: ${hits} aciertos, ${misses} sin caché${expired ? ` (${expired} vencidas)` : ''}${rate}`;
+        }).join(' · ');
+    }
+
+    /**
+     * Count the stored entries per kind
+     * @returns {Object} { search: number, llm: number }
+     */
+    countEntries() {
+        const counts = {};
+        for (const kind of KINDS) {
+            counts[kind] = 0;
+            const kindDir = path.join(this.dir, kind);
+            if (!fs.existsSync(kindDir)) continue;
+            for (const shard of fs.readdirSync(kindDir)) {
+                counts[kind] += fs.readdirSync(path.join(kindDir, shard)).filter(name => name.endsWith('.json')).length;
+            }
+        }
+        return counts;
+    }
+}
+
+module.exports = { ResponseCache, normalizeQuery, hashKey };
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const axios = require('axios');
+const { withRetry } = require('./retry');
+const { SerialQueue } = require('./worker-pool');
+const { meetsConfidence } = require('./enriched-export');
+const { buildExportRecord } = require('./exporters');
+
+const HUBSPOT_UPSERT_URL = 'https://api.hubapi.com/crm/v3/objects/contacts/batch/upsert';
+
+// HubSpot's batch endpoints accept at most 100 inputs per request
+const HUBSPOT_MAX_BATCH = 100;
+
+/**
+ * Fill {field} placeholders in every string of a JSON template
+ * @param {*} template - Parsed JSON template
+ * @param {Object} record - Export record
+ * @returns {*} Rendered copy of the template
+ */
+function renderTemplate(template, record) {
+    if (typeof template === 'string') {
+        return template.replace(/\{(\w+)\}/g, (match, field) => (field in record ? record[field] : match));
+    }
+    if (Array.isArray(template)) {
+        return template.map(item => renderTemplate(item, record));
+    }
+    if (template && typeof template === 'object') {
+        const rendered = {};
+        for (const [key, value] of Object.entries(template)) {
+            rendered[key] = renderTemplate(value, record);
+        }
+        return rendered;
+    }
+    return template;
+}
+
+/**
+ * Parse "Header-Name: value" into a header object
+ * @param {string} header - Raw header line
+ * @returns {Object} { name: value }, or {} if empty
+ */
+function parseHeader(header) {
+    if (!header) return {};
+    const colon = header.indexOf(':');
+    if (colon === -1) {
+        throw new Error(`DELIVERY_AUTH_HEADER debe tener el formato "Nombre: valor" (recibido: ${header})`);
+    }
+    return { [header.slice(0, colon).trim()]: header.slice(colon + 1).trim() };
+}
+
+/**
+ * Delivers finished results to an HTTP endpoint while the run is in progress.
+ *
+ * Results are queued without blocking the workers, grouped into batches and
+ * posted in order. Each request is retried with the same backoff as the API
+ * calls; batches that still fail are appended to a dead-letter JSONL file so
+ * nothing found during the run is lost.
+ *
+ * Modes:
+ *   webhook - POST the rendered template (one object, or { results: [...] } for batches)
+ *   hubspot - HubSpot contacts batch upsert, keyed on email
+ */
+class ResultDelivery {
+    /**
+     * @param {Object} config - Delivery configuration section (see lib/config.js)
+     * @param {Object} retryConfig - Retry configuration section
+     */
+    constructor(config = {}, retryConfig = {}) {
+        this.config = config;
+        this.retryConfig = retryConfig;
+        this.mode = (config.mode || 'webhook').toLowerCase();
+        this.url = config.url || (this.mode === 'hubspot' ? HUBSPOT_UPSERT_URL : '');
+        this.batchSize = Math.max(1, config.batchSize || 1);
+        if (this.mode === 'hubspot') {
+            this.batchSize = Math.min(this.batchSize, HUBSPOT_MAX_BATCH);
+        }
+        this.headers = parseHeader(config.authHeader);
+        this.template = null;
+        this.pending = [];
+        this.queue = new SerialQueue();
+        this.timer = null;
+        this.stats = { queued: 0, delivered: 0, failed: 0, batches: 0 };
+        this.onWarning = () => {};
+    }
+
+    /**
+     * Whether delivery is configured
+     * @returns {boolean} True if there is an endpoint to deliver to
+     */
+    get enabled() {
+        return Boolean(this.config.enabled !== false && this.url);
+    }
+
+    /**
+     * Load the payload template on first use
+     * @returns {Object|null} Parsed template, or null to send the full export record
+     */
+    loadTemplate() {
+        if (this.template || !this.config.templateFile) return this.template;
+
+        if (!fs.existsSync(this.config.templateFile)) {
+            throw new Error(`El archivo de plantilla ${this.config.templateFile} no existe`);
+        }
+        this.template = JSON.parse(fs.readFileSync(this.config.templateFile, 'utf8'));
+        return this.template;
+    }
+
+    /**
+     * Whether a result should be delivered
+     * @param {Object} result - Search result
+     * @returns {boolean} True if it passes the delivery filters
+     */
+    accepts(result) {
+        if (result.status === 'error') return false;
+        // HubSpot upserts are keyed on the email
+        if ((this.config.onlyFound !== false || this.mode === 'hubspot') && !result.email) return false;
+        return !result.email || meetsConfidence(result.confidence, this.config.minConfidence);
+    }
+
+    /**
+     * Build the payload item for one result
+     * @param {Object} result - Search result
+     * @param {Object|null} connection - Matching input connection
+     * @returns {Object} Payload item
+     */
+    buildItem(result, connection = null) {
+        const record = buildExportRecord(result, connection);
+
+        if (this.mode === 'hubspot') {
+            return {
+                idProperty: 'email',
+                id: record.email,
+                properties: renderTemplate(this.loadTemplate() || {
+                    email: '{email}',
+                    firstname: '{firstName}',
+                    lastname: '{lastName}',
+                    company: '{company}',
+                    jobtitle: '{position}',
+                    phone: '{phone}'
+                }, record)
+            };
+        }
+
+        const template = this.loadTemplate();
+        return template ? renderTemplate(template, record) : record;
+    }
+
+    /**
+     * Queue a finished result for delivery (returns immediately)
+     * @param {Object} result - Search result
+     * @param {Object|null} connection - Matching input connection
+     */
+    enqueue(result, connection = null) {
+        if (!this.enabled || !this.accepts(result)) return;
+
+        this.pending.push(this.buildItem(result, connection));
+        this.stats.queued++;
+
+        if (this.pending.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.timer && this.config.flushIntervalMs > 0) {
+            // Don't let a half-full batch sit until the end of the run
+            this.timer = setTimeout(() => this.flush(), this.config.flushIntervalMs);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Send everything queued so far as one batch
+     * @returns {Promise<void>} Resolves when the batch has been delivered or dead-lettered
+     */
+    flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.pending.length === 0) return this.queue.run(async () => {});
+
+        const items = this.pending.splice(0, this.pending.length);
+        return this.queue.run(() => this.sendBatch(items));
+    }
+
+    /**
+     * Build the request body for a batch
+     * @param {Array<Object>} items - Payload items
+     * @returns {Object} Request body
+     */
+    buildBody(items) {
+        if (this.mode === 'hubspot') return { inputs: items };
+        return this.batchSize === 1 ? items[0] : { results: items };
+    }
+
+    /**
+     * Post one batch with retries, dead-lettering it if it still fails
+     * @param {Array<Object>} items - Payload items
+     * @returns {Promise<void>}
+     */
+    async sendBatch(items) {
+        const body = this.buildBody(items);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'LinkedInEmailFinder/1.0',
+            ...this.headers
+        };
+        if (this.config.token) {
+            headers.Authorization = `Bearer ${this.config.token}`;
+        }
+
+        try {
+            await withRetry(() => axios({
+                method: this.config.method || 'POST',
+                url: this.url,
+                data: body,
+                headers,
+                timeout: this.config.timeout || 10000
+            }), this.retryConfig);
+            this.stats.delivered += items.length;
+        } catch (error) {
+            this.stats.failed += items.length;
+            this.writeDeadLetter(body, items.length, error);
+        } finally {
+            this.stats.batches++;
+        }
+    }
+
+    /**
+     * Append a failed delivery to the dead-letter file
+     * @param {Object} body - Request body that could not be delivered
+     * @param {number} count - Number of results in it
+     * @param {Error} error - Last error
+     */
+    writeDeadLetter(body, count, error) {
+        const entry = {
+            failedAt: new Date().toISOString(),
+            url: this.url,
+            count,
+            error: error.message,
+            errorCode: error.classification ? error.classification.code : 'unknown',
+            attempts: error.attempts || 1,
+            body
+        };
+        try {
+            fs.appendFileSync(this.config.deadLetterFile, JSON.stringify(entry) + '\n');
+        } catch (writeError) {
+            this.onWarning(`⚠️ Error escribiendo entrega fallida: ${writeError.message}`);
+        }
+    }
+
+    /**
+     * Deliver what is still queued and wait for every batch to finish
+     * @returns {Promise<Object>} Delivery stats
+     */
+    async drain() {
+        await this.flush();
+        return { ...this.stats };
+    }
+}
+
+module.exports = { ResultDelivery, renderTemplate, parseHeader, HUBSPOT_UPSERT_URL };
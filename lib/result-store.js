@@ -0,0 +1,281 @@
+const fs = require('fs');
+
+/**
+ * Append-only, crash-safe store of lookup results (JSON Lines).
+ *
+ * Every finished lookup is appended as one line and flushed to disk, so an
+ * abrupt kill loses at most the line being written; a truncated last line is
+ * skipped on load. Later lines for the same connection key supersede earlier
+ * ones, and compaction rewrites the file with one line per key through a
+ * write-then-rename, so the file on disk is always either the old or the new
+ * version.
+ *
+ * Line format:
+ *   {"type":"meta","startTime":"..."}
+ *   {"type":"result","key":"jane doe|acme","recordedAt":"...", ...result}
+ *   {"type":"rekey","from":"jane doe|acme","to":"url:linkedin.com/in/jane-doe"}
+ */
+class ResultStore {
+    /**
+     * @param {string} filePath - Path of the .jsonl store
+     * @param {Object} options - { fsync: boolean, compactRatio: number }
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.fsync = options.fsync !== false;
+        this.compactRatio = options.compactRatio || 0.3;
+        this.records = new Map();
+        this.meta = {};
+        this.lineCount = 0;
+        this.skippedLines = [];
+        this.fd = null;
+        this.loaded = false;
+        this.onWarning = () => {};
+    }
+
+    /**
+     * Read the store into memory (idempotent)
+     * @returns {ResultStore} this
+     */
+    load() {
+        if (this.loaded) return this;
+        this.loaded = true;
+        this.records = new Map();
+        this.meta = {};
+        this.lineCount = 0;
+        this.skippedLines = [];
+
+        if (!fs.existsSync(this.filePath)) return this;
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            this.lineCount++;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // Typically the last line of a run that was killed mid-write
+                this.skippedLines.push(index + 1);
+                return;
+            }
+            if (entry.type === 'meta') {
+                Object.assign(this.meta, entry);
+            } else if (entry.type === 'result' && entry.key) {
+                this.records.set(entry.key, entry);
+            } else if (entry.type === 'rekey') {
+                this.moveRecord(entry.from, entry.to);
+            }
+        });
+
+        if (this.skippedLines.length > 0) {
+            this.onWarning(`⚠️ ${this.skippedLines.length} líneas corruptas ignoradas en ${this.filePath} (líneas ${this.skippedLines.join(', ')})`);
+        }
+        return this;
+    }
+
+    /**
+     * Open the file for appending
+     * @returns {number} File descriptor
+     */
+    openForAppend() {
+        if (this.fd === null) {
+            this.fd = fs.openSync(this.filePath, 'a');
+            // Start on a fresh line if the previous run was killed mid-write
+            const size = fs.fstatSync(this.fd).size;
+            if (size > 0) {
+                const last = Buffer.alloc(1);
+                const readFd = fs.openSync(this.filePath, 'r');
+                try {
+                    fs.readSync(readFd, last, 0, 1, size - 1);
+                } finally {
+                    fs.closeSync(readFd);
+                }
+                if (last[0] !== 0x0a) fs.writeSync(this.fd, '\n');
+            }
+        }
+        return this.fd;
+    }
+
+    /**
+     * Write one line and flush it to disk
+     * @param {Object} entry - Line content
+     */
+    writeLine(entry) {
+        const fd = this.openForAppend();
+        fs.writeSync(fd, JSON.stringify(entry) + '\n');
+        if (this.fsync) fs.fsyncSync(fd);
+        this.lineCount++;
+    }
+
+    /**
+     * Record metadata (start time, etc.)
+     * @param {Object} values - Metadata fields
+     */
+    setMeta(values) {
+        this.load();
+        Object.assign(this.meta, values);
+        this.writeLine({ type: 'meta', ...values });
+    }
+
+    /**
+     * Append a result, superseding any earlier result for the same key
+     * @param {Object} result - Result with a `key` property
+     * @returns {Object} Stored entry
+     */
+    append(result) {
+        if (!result || !result.key) {
+            throw new Error('El resultado no tiene clave de conexión');
+        }
+        this.load();
+        const entry = { ...result, type: 'result', recordedAt: new Date().toISOString() };
+        this.writeLine(entry);
+        this.records.set(entry.key, entry);
+        return entry;
+    }
+
+    /**
+     * Update fields of an existing result (appends a new version of the line)
+     * @param {string} key - Connection key
+     * @param {Object} changes - Fields to change
+     * @returns {Object|null} Updated entry, or null if the key is unknown
+     */
+    update(key, changes) {
+        const current = this.get(key);
+        if (!current) return null;
+        return this.append({ ...current, ...changes });
+    }
+
+    /**
+     * Move a result to a new connection key (used when the key format changes)
+     * @param {string} from - Current key
+     * @param {string} to - New key
+     * @returns {boolean} True if a result was moved
+     */
+    rekey(from, to) {
+        this.load();
+        if (from === to || !this.records.has(from)) return false;
+        this.writeLine({ type: 'rekey', from, to });
+        this.moveRecord(from, to);
+        return true;
+    }
+
+    /**
+     * Move a record in memory, replacing whatever the new key held
+     * @param {string} from - Current key
+     * @param {string} to - New key
+     */
+    moveRecord(from, to) {
+        const entry = this.records.get(from);
+        if (!entry) return;
+        this.records.delete(from);
+        this.records.set(to, { ...entry, key: to });
+    }
+
+    /**
+     * @param {string} key - Connection key
+     * @returns {Object|undefined} Latest result for the key
+     */
+    get(key) {
+        return this.load().records.get(key);
+    }
+
+    /**
+     * @param {string} key - Connection key
+     * @returns {boolean} True if a result is stored for the key
+     */
+    has(key) {
+        return this.load().records.has(key);
+    }
+
+    /**
+     * @returns {Array<Object>} Latest result per key, in first-recorded order
+     */
+    values() {
+        return Array.from(this.load().records.values());
+    }
+
+    /**
+     * @returns {number} Number of distinct keys stored
+     */
+    get size() {
+        return this.load().records.size;
+    }
+
+    /**
+     * @returns {string|null} ISO time of the most recent write, from the file's mtime
+     */
+    lastUpdate() {
+        try {
+            return fs.statSync(this.filePath).mtime.toISOString();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether superseded or corrupt lines make up enough of the file to compact
+     * @returns {boolean} True if compaction is worthwhile
+     */
+    needsCompaction() {
+        this.load();
+        const live = this.records.size + (Object.keys(this.meta).length > 0 ? 1 : 0);
+        const dead = this.lineCount - live;
+        return this.skippedLines.length > 0 || (this.lineCount > 0 && dead / this.lineCount > this.compactRatio);
+    }
+
+    /**
+     * Rewrite the file with one line per key (atomic write-then-rename)
+     */
+    compact() {
+        this.load();
+        this.close();
+
+        const tmpPath = `${this.filePath}.tmp`;
+        const lines = [];
+        if (Object.keys(this.meta).length > 0) {
+            const { type, ...meta } = this.meta;
+            lines.push(JSON.stringify({ type: 'meta', ...meta }));
+        }
+        for (const entry of this.records.values()) {
+            lines.push(JSON.stringify(entry));
+        }
+
+        const fd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(fd, lines.length > 0 ? lines.join('\n') + '\n' : '');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, this.filePath);
+
+        this.lineCount = lines.length;
+        this.skippedLines = [];
+    }
+
+    /**
+     * Delete every stored result
+     */
+    clear() {
+        this.close();
+        if (fs.existsSync(this.filePath)) fs.unlinkSync(this.filePath);
+        this.records = new Map();
+        this.meta = {};
+        this.lineCount = 0;
+        this.skippedLines = [];
+        this.loaded = true;
+    }
+
+    /**
+     * Close the append file descriptor
+     */
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = { ResultStore };
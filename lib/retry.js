@@ -0,0 +1,124 @@
+/**
+ * Error classification and retry with exponential backoff.
+ *
+ * Works with errors from the OpenAI SDK (status/headers on the error) and
+ * from axios (status/headers on error.response).
+ */
+
+const NETWORK_CODES = new Set([
+    'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH',
+    'EHOSTUNREACH', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNABORTED', 'UND_ERR_SOCKET'
+]);
+
+/**
+ * Read a header from either a plain object or a Headers-like object
+ * @param {Object} headers - Response headers
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined} Header value
+ */
+function readHeader(headers, name) {
+    if (!headers) return undefined;
+    if (typeof headers.get === 'function') return headers.get(name) || undefined;
+    return headers[name] || headers[name.toLowerCase()];
+}
+
+/**
+ * Parse Retry-After (seconds or HTTP date) and OpenAI's retry-after-ms
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Delay in milliseconds, or null if absent
+ */
+function parseRetryAfter(headers) {
+    const ms = parseFloat(readHeader(headers, 'retry-after-ms'));
+    if (!Number.isNaN(ms) && ms >= 0) return ms;
+
+    const value = readHeader(headers, 'retry-after');
+    if (!value) return null;
+
+    const seconds = parseFloat(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Classify an error as retryable or fatal
+ * @param {Error} error - Error thrown by an API call
+ * @returns {Object} { retryable, code, status, retryAfterMs, message }
+ */
+function classifyError(error) {
+    const status = error && (error.status || (error.response && error.response.status));
+    const headers = error && (error.headers || (error.response && error.response.headers));
+    const errorCode = error && (error.code || (error.cause && error.cause.code));
+    const message = (error && error.message) || String(error);
+    const result = { retryable: false, code: 'unknown', status: status || null, retryAfterMs: parseRetryAfter(headers), message };
+
+    if (status === 429) {
+        // Exhausted billing quota comes back as 429 too, but waiting won't fix it
+        if (errorCode === 'insufficient_quota' || /quota/i.test(message)) {
+            return { ...result, code: 'quota_exceeded' };
+        }
+        return { ...result, retryable: true, code: 'rate_limited' };
+    }
+    if (status === 408 || (error && /timeout|timed out/i.test(error.name + ' ' + message))) {
+        return { ...result, retryable: true, code: 'timeout' };
+    }
+    if (status >= 500) return { ...result, retryable: true, code: 'server_error' };
+    if (status === 401 || status === 403) return { ...result, code: 'auth' };
+    if (status === 404) return { ...result, code: 'not_found' };
+    if (status >= 400) return { ...result, code: 'bad_request' };
+    if (errorCode === 'CACHE_MISS') return { ...result, code: 'cache_miss' };
+    if (NETWORK_CODES.has(errorCode) || (error && error.name === 'APIConnectionError')) {
+        return { ...result, retryable: true, code: 'network' };
+    }
+    return result;
+}
+
+/**
+ * Backoff delay for an attempt: full jitter over an exponential ceiling,
+ * or the server's Retry-After when it asks for longer
+ * @param {number} attempt - Retry number (0-based)
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @param {number|null} retryAfterMs - Delay requested by the server
+ * @returns {number} Milliseconds to wait
+ */
+function backoffDelay(attempt, options, retryAfterMs = null) {
+    if (retryAfterMs !== null) {
+        return Math.min(options.maxDelayMs, retryAfterMs) + Math.random() * options.baseDelayMs;
+    }
+    const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * Math.pow(2, attempt));
+    return Math.random() * ceiling;
+}
+
+/**
+ * Run an async function, retrying retryable errors with backoff
+ * @param {Function} fn - async (attempt) => any
+ * @param {Object} options - { maxRetries, baseDelayMs, maxDelayMs, onRetry(info, attempt, delay) }
+ * @returns {Promise<*>} The function's result
+ */
+async function withRetry(fn, options = {}) {
+    const settings = {
+        maxRetries: options.maxRetries !== undefined ? options.maxRetries : 3,
+        baseDelayMs: options.baseDelayMs || 1000,
+        maxDelayMs: options.maxDelayMs || 60000
+    };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            const info = classifyError(error);
+            error.classification = info;
+            if (!info.retryable || attempt >= settings.maxRetries) {
+                error.attempts = attempt + 1;
+                throw error;
+            }
+
+            const delay = backoffDelay(attempt, settings, info.retryAfterMs);
+            if (options.onRetry) options.onRetry(info, attempt + 1, delay);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+module.exports = { classifyError, parseRetryAfter, backoffDelay, withRetry };
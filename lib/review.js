@@ -0,0 +1,114 @@
+const { cleanConfidence } = require('./analysis');
+const { isValidSyntax } = require('./email-validator');
+
+// Decisions a reviewer can record. "edited" is an accepted result whose address was corrected.
+const REVIEW_STATUSES = ['accepted', 'edited', 'rejected'];
+
+/**
+ * Parse the list of confidence levels that go through review
+ * @param {string|Array<string>} value - "MEDIUM,LOW" or an array of levels
+ * @returns {Array<string>} Upper-case levels
+ */
+function parseReviewConfidence(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return items.map(item => String(item).trim()).filter(Boolean).map(cleanConfidence);
+}
+
+/**
+ * Whether a result still waits for a reviewer
+ * @param {Object} result - Stored result
+ * @param {Array<string>} confidences - Levels that need review (see parseReviewConfidence)
+ * @returns {boolean} True for unreviewed results with an email at one of those levels
+ */
+function needsReview(result, confidences) {
+    if (!result.email || result.status === 'error' || result.reviewStatus) return false;
+    return confidences.includes(cleanConfidence(result.confidence));
+}
+
+/**
+ * Whether a reviewer approved the result's email (as found or corrected)
+ * @param {Object} result - Stored result
+ * @returns {boolean} True for accepted and edited results
+ */
+function isAccepted(result) {
+    return result.reviewStatus === 'accepted' || result.reviewStatus === 'edited';
+}
+
+/**
+ * Fields to store for a review decision
+ * @param {Object} result - Stored result being reviewed
+ * @param {string} decision - accepted, edited or rejected
+ * @param {Object} details - { email (for edited), reviewer }
+ * @returns {Object} Changes for ResultStore.update
+ */
+function buildReviewChanges(result, decision, details = {}) {
+    if (!REVIEW_STATUSES.includes(decision)) {
+        throw new Error(`Decisión de revisión desconocida: ${decision} (disponibles: ${REVIEW_STATUSES.join(', ')})`);
+    }
+
+    const changes = {
+        reviewStatus: decision,
+        reviewedAt: new Date().toISOString(),
+        reviewedBy: details.reviewer || ''
+    };
+
+    if (decision === 'edited') {
+        const email = String(details.email || '').trim();
+        if (!isValidSyntax(email)) {
+            throw new Error(`Email inválido: ${email || '(vacío)'}`);
+        }
+        // The model's address is kept so the correction can be audited
+        changes.originalEmail = result.originalEmail || result.email;
+        changes.email = email;
+    } else if (decision === 'rejected') {
+        // A rejected address counts as not found everywhere (exports, delivery, reports)
+        changes.originalEmail = result.originalEmail || result.email;
+        changes.email = '';
+        changes.status = 'not_found';
+    }
+
+    return changes;
+}
+
+/**
+ * Pick the parts of the stored search results that back up an email:
+ * web results mentioning the address (or its domain), or for older results
+ * without them, the lines of the saved search text that do
+ * @param {Object} result - Stored result
+ * @param {number} max - Most excerpts to return
+ * @returns {Array<Object>} { title, url, snippet }
+ */
+function findExcerpts(result, max = 3) {
+    const email = String(result.originalEmail || result.email || '').toLowerCase();
+    const domain = email.split('@')[1] || '';
+    const mentions = text => {
+        const lower = String(text || '').toLowerCase();
+        return (email && lower.includes(email)) || (domain && lower.includes(domain));
+    };
+
+    const matches = (result.webResults || [])
+        .filter(item => mentions(item.title) || mentions(item.snippet) || mentions(item.url))
+        // Results quoting the full address first
+        .sort((a, b) => Number(String(b.snippet).toLowerCase().includes(email)) - Number(String(a.snippet).toLowerCase().includes(email)));
+    // Results that kept their web results don't need the text: when those are empty,
+    // searchResults is the no-search fallback context, which isn't evidence
+    if (matches.length > 0 || Array.isArray(result.webResults)) {
+        return matches.slice(0, max).map(item => ({ title: item.title || '', url: item.url || '', snippet: item.snippet || '' }));
+    }
+
+    return String(result.searchResults || '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && mentions(line))
+        .slice(0, max)
+        .map(line => ({ title: '', url: '', snippet: line }));
+}
+
+module.exports = {
+    REVIEW_STATUSES,
+    parseReviewConfidence,
+    needsReview,
+    isAccepted,
+    buildReviewChanges,
+    findExcerpts
+};
@@ -0,0 +1,88 @@
+/**
+ * Base class for web search providers.
+ *
+ * Every provider returns an array of structured results so the rest of the
+ * pipeline can reason about individual sources:
+ *   { title: string, url: string, snippet: string }
+ */
+class SearchProvider {
+    /**
+     * @param {Object} config - Search configuration section (see lib/config.js)
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.maxResults = config.maxResults || 5;
+    }
+
+    /**
+     * Provider identifier, used in logs and stored results
+     * @returns {string} Provider name
+     */
+    get name() {
+        return 'base';
+    }
+
+    /**
+     * Run a search query
+     * @param {string} query - Search query
+     * @returns {Promise<Array<{title: string, url: string, snippet: string}>>} Search results
+     */
+    async search(query) {
+        throw new Error(`El proveedor de búsqueda ${this.name} no implementa search()`);
+    }
+
+    /**
+     * Normalize a raw result into the { title, url, snippet } shape
+     * @param {Object} raw - Raw result with any of the usual field names
+     * @returns {Object|null} Normalized result, or null if it carries no content
+     */
+    normalizeResult(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+
+        const result = {
+            title: String(raw.title || raw.name || raw.heading || '').trim(),
+            url: String(raw.url || raw.link || raw.href || '').trim(),
+            snippet: String(raw.snippet || raw.content || raw.description || raw.text || raw.body || '').trim()
+        };
+
+        if (!result.title && !result.url && !result.snippet) return null;
+        return result;
+    }
+
+    /**
+     * Normalize a list of raw results and apply the configured limit
+     * @param {Array} rawResults - Raw results
+     * @returns {Array} Normalized results
+     */
+    normalizeResults(rawResults) {
+        if (!Array.isArray(rawResults)) return [];
+        return rawResults
+            .map(raw => this.normalizeResult(raw))
+            .filter(Boolean)
+            .slice(0, this.maxResults);
+    }
+}
+
+/**
+ * Render structured results as plain text for the analysis prompt
+ * @param {Array} results - Structured search results
+ * @returns {string} Text block listing each result with its source
+ */
+function formatSearchResults(results) {
+    if (!results || results.length === 0) {
+        return 'No specific web search results found.';
+    }
+
+    return results.map((result, index) => {
+        let text = `${index + 1}. ${result.title || result.url}`;
+        if (result.snippet) {
+            text += `\n   ${result.snippet}`;
+        }
+        if (result.url) {
+            text += `\n   Source: ${result.url}`;
+        }
+        return text;
+    }).join('\n');
+}
+
+module.exports = { SearchProvider, formatSearchResults };
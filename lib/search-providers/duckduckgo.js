@@ -0,0 +1,58 @@
+const axios = require('axios');
+const { SearchProvider } = require('./base');
+
+/**
+ * DuckDuckGo Instant Answer API provider.
+ * Free and key-less, but rarely returns anything for person queries.
+ */
+class DuckDuckGoProvider extends SearchProvider {
+    get name() {
+        return 'duckduckgo';
+    }
+
+    async search(query) {
+        const response = await axios.get('https://api.duckduckgo.com/', {
+            params: {
+                q: query,
+                format: 'json',
+                no_html: '1',
+                skip_disambig: '1',
+                safesearch: 'moderate'
+            },
+            timeout: this.config.timeout || 10000,
+            headers: {
+                'User-Agent': 'LinkedInEmailFinder/1.0'
+            }
+        });
+
+        const data = response.data || {};
+        const raw = [];
+
+        if (data.Answer) {
+            raw.push({ title: 'Direct Answer', url: data.AnswerURL || '', snippet: data.Answer });
+        }
+
+        if (data.Abstract) {
+            raw.push({ title: data.Heading || 'Abstract', url: data.AbstractURL || '', snippet: data.Abstract });
+        }
+
+        // RelatedTopics may contain nested groups with their own Topics array
+        const topics = [];
+        for (const topic of data.RelatedTopics || []) {
+            if (Array.isArray(topic.Topics)) {
+                topics.push(...topic.Topics);
+            } else {
+                topics.push(topic);
+            }
+        }
+        for (const topic of topics) {
+            if (topic.Text) {
+                raw.push({ title: topic.Text.split(' - ')[0], url: topic.FirstURL || '', snippet: topic.Text });
+            }
+        }
+
+        return this.normalizeResults(raw);
+    }
+}
+
+module.exports = { DuckDuckGoProvider };
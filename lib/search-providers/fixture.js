@@ -0,0 +1,52 @@
+const fs = require('fs');
+const { SearchProvider } = require('./base');
+
+/**
+ * Offline provider that serves results from a JSON fixture file.
+ *
+ * The file maps queries to result arrays. Keys are matched case-insensitively;
+ * a "*" key, if present, is returned for queries with no entry:
+ *
+ *   {
+ *     "\"Jane Doe\" email \"Acme\"": [{ "title": "...", "url": "...", "snippet": "..." }],
+ *     "*": []
+ *   }
+ */
+class FixtureProvider extends SearchProvider {
+    constructor(config = {}) {
+        super(config);
+        this.fixtures = null;
+    }
+
+    get name() {
+        return 'fixture';
+    }
+
+    /**
+     * Load and index the fixture file on first use
+     * @returns {Map<string, Array>} Results indexed by lowercased query
+     */
+    loadFixtures() {
+        if (this.fixtures) return this.fixtures;
+
+        const filePath = this.config.fixtureFile;
+        if (!filePath || !fs.existsSync(filePath)) {
+            throw new Error(`El archivo de fixtures ${filePath} no existe`);
+        }
+
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        this.fixtures = new Map();
+        for (const [query, results] of Object.entries(data)) {
+            this.fixtures.set(query.toLowerCase().trim(), results);
+        }
+        return this.fixtures;
+    }
+
+    async search(query) {
+        const fixtures = this.loadFixtures();
+        const results = fixtures.get(query.toLowerCase().trim()) || fixtures.get('*') || [];
+        return this.normalizeResults(results);
+    }
+}
+
+module.exports = { FixtureProvider };
@@ -0,0 +1,68 @@
+const axios = require('axios');
+const { SearchProvider } = require('./base');
+
+/**
+ * Read a value from an object following a dot-separated path
+ * @param {Object} obj - Source object
+ * @param {string} path - Dot path such as "data.items" (empty returns obj)
+ * @returns {*} Value at the path, or undefined
+ */
+function getPath(obj, path) {
+    if (!path) return obj;
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Generic JSON-over-HTTP provider for in-house or third-party search APIs.
+ *
+ * The URL may contain a {query} placeholder; otherwise the query is sent in
+ * the parameter named by httpQueryParam (query string for GET, JSON body for
+ * POST). Results are read from httpResultsPath and normalized from the usual
+ * title/url/link/snippet/description field names.
+ */
+class HttpJsonProvider extends SearchProvider {
+    get name() {
+        return 'http';
+    }
+
+    async search(query) {
+        const { httpUrl, httpQueryParam = 'q', httpResultsPath = 'results', httpApiKey } = this.config;
+        const method = (this.config.httpMethod || 'GET').toUpperCase();
+
+        if (!httpUrl) {
+            throw new Error('SEARCH_HTTP_URL no está configurada');
+        }
+
+        const request = {
+            method,
+            url: httpUrl.replace('{query}', encodeURIComponent(query)),
+            timeout: this.config.timeout || 10000,
+            headers: {
+                'User-Agent': 'LinkedInEmailFinder/1.0'
+            }
+        };
+
+        if (httpApiKey) {
+            request.headers.Authorization = `Bearer ${httpApiKey}`;
+        }
+
+        if (!httpUrl.includes('{query}')) {
+            if (method === 'GET') {
+                request.params = { [httpQueryParam]: query };
+            } else {
+                request.data = { [httpQueryParam]: query };
+            }
+        }
+
+        const response = await axios(request);
+        const rawResults = getPath(response.data, httpResultsPath);
+
+        if (!Array.isArray(rawResults)) {
+            throw new Error(`La respuesta no contiene un array en "${httpResultsPath}"`);
+        }
+
+        return this.normalizeResults(rawResults);
+    }
+}
+
+module.exports = { HttpJsonProvider, getPath };
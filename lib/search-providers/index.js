@@ -0,0 +1,55 @@
+const { SearchProvider, formatSearchResults } = require('./base');
+const { DuckDuckGoProvider } = require('./duckduckgo');
+const { SearxngProvider } = require('./searxng');
+const { HttpJsonProvider } = require('./http-json');
+const { FixtureProvider } = require('./fixture');
+
+// Registry of available providers, keyed by the SEARCH_PROVIDER value
+const providers = new Map();
+
+/**
+ * Register a search provider class under a name
+ * @param {string} name - Provider name used in configuration
+ * @param {Function} ProviderClass - Class extending SearchProvider
+ */
+function registerSearchProvider(name, ProviderClass) {
+    if (!(ProviderClass.prototype instanceof SearchProvider)) {
+        throw new Error(`El proveedor ${name} debe extender SearchProvider`);
+    }
+    providers.set(name.toLowerCase(), ProviderClass);
+}
+
+/**
+ * Create the provider selected in the configuration
+ * @param {Object} config - Search configuration section
+ * @returns {SearchProvider} Provider instance
+ */
+function createSearchProvider(config = {}) {
+    const name = (config.provider || 'duckduckgo').toLowerCase();
+    const ProviderClass = providers.get(name);
+    if (!ProviderClass) {
+        throw new Error(`Proveedor de búsqueda desconocido: ${name} (disponibles: ${listSearchProviders().join(', ')})`);
+    }
+    return new ProviderClass(config);
+}
+
+/**
+ * List the registered provider names
+ * @returns {Array<string>} Provider names
+ */
+function listSearchProviders() {
+    return Array.from(providers.keys());
+}
+
+registerSearchProvider('duckduckgo', DuckDuckGoProvider);
+registerSearchProvider('searxng', SearxngProvider);
+registerSearchProvider('http', HttpJsonProvider);
+registerSearchProvider('fixture', FixtureProvider);
+
+module.exports = {
+    SearchProvider,
+    registerSearchProvider,
+    createSearchProvider,
+    listSearchProviders,
+    formatSearchResults
+};
@@ -0,0 +1,35 @@
+const axios = require('axios');
+const { SearchProvider } = require('./base');
+
+/**
+ * Self-hosted SearXNG instance provider.
+ * The instance must have the JSON output format enabled in settings.yml.
+ */
+class SearxngProvider extends SearchProvider {
+    get name() {
+        return 'searxng';
+    }
+
+    async search(query) {
+        const baseUrl = (this.config.searxngUrl || '').replace(/\/+$/, '');
+        if (!baseUrl) {
+            throw new Error('SEARXNG_URL no está configurada');
+        }
+
+        const response = await axios.get(`${baseUrl}/search`, {
+            params: {
+                q: query,
+                format: 'json',
+                safesearch: 1
+            },
+            timeout: this.config.timeout || 10000,
+            headers: {
+                'User-Agent': 'LinkedInEmailFinder/1.0'
+            }
+        });
+
+        return this.normalizeResults((response.data && response.data.results) || []);
+    }
+}
+
+module.exports = { SearxngProvider };
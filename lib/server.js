@@ -0,0 +1,499 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { JobQueue } = require('./job-queue');
+const { ResultStore } = require('./result-store');
+const { loadInput, listInputFormats } = require('./input-adapters');
+
+// Longest accepted name, company or position in POST /lookup
+const MAX_FIELD_LENGTH = 200;
+
+// Upload file extension by content type, for the format detection of loadInput
+const UPLOAD_EXTENSIONS = {
+    'text/csv': '.csv',
+    'application/json': '.json',
+    'application/x-ndjson': '.jsonl',
+    'text/vcard': '.vcf',
+    'text/x-vcard': '.vcf'
+};
+
+/**
+ * Error answered with a specific HTTP status
+ */
+class HttpError extends Error {
+    /**
+     * @param {string} message - Message returned to the client
+     * @param {number} statusCode - HTTP status
+     */
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Read a request body, up to a size limit
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Largest accepted body
+ * @returns {Promise<Buffer>} Body
+ */
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(new HttpError(`El cuerpo supera el máximo de ${Math.round(maxBytes / 1024 / 1024)} MB`, 413));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parse a JSON request body
+ * @param {Buffer} body - Raw body
+ * @returns {Object} Parsed object
+ */
+function parseJsonBody(body) {
+    let data;
+    try {
+        data = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+        throw new HttpError('El cuerpo debe ser JSON válido');
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new HttpError('El cuerpo debe ser un objeto JSON');
+    }
+    return data;
+}
+
+/**
+ * Get the uploaded file from a request: the first file of a multipart/form-data
+ * body (`curl -F file=@Connections.csv`), or the raw body (`--data-binary @Connections.csv`)
+ * @param {string} contentType - Content-Type header
+ * @param {Buffer} body - Raw body
+ * @returns {Object} { filename, content }
+ */
+function extractUpload(contentType, body) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'multipart/form-data') {
+        return { filename: `input${UPLOAD_EXTENSIONS[type] || '.csv'}`, content: body };
+    }
+
+    const boundary = /boundary="?([^";]+)"?/i.exec(contentType);
+    if (!boundary) {
+        throw new HttpError('Falta el boundary del multipart/form-data');
+    }
+    const delimiter = Buffer.from(`--${boundary[1]}`);
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const headerStart = start + delimiter.length + 2;
+        const headerEnd = body.indexOf('\r\n\r\n', headerStart);
+        const next = body.indexOf(delimiter, headerStart);
+        if (headerEnd === -1 || next === -1) break;
+
+        const headers = body.slice(headerStart, headerEnd).toString('utf8');
+        const filename = /filename="([^"]*)"/i.exec(headers);
+        if (filename) {
+            // The part ends with the CRLF before the next delimiter
+            return { filename: filename[1], content: body.slice(headerEnd + 4, next - 2) };
+        }
+        start = next;
+    }
+    throw new HttpError('No se encontró ningún archivo en el formulario');
+}
+
+/**
+ * Check an optional text field of POST /lookup
+ * @param {Object} data - Request body
+ * @param {string} field - Field name
+ * @param {boolean} required - Whether it must be present
+ * @returns {string} Trimmed value ('' when absent)
+ */
+function textField(data, field, required = false) {
+    const value = data[field];
+    if (value === undefined || value === null || value === '') {
+        if (required) throw new HttpError(`El campo ${field} es obligatorio`);
+        return '';
+    }
+    if (typeof value !== 'string') {
+        throw new HttpError(`El campo ${field} debe ser texto`);
+    }
+    if (value.length > MAX_FIELD_LENGTH) {
+        throw new HttpError(`El campo ${field} supera los ${MAX_FIELD_LENGTH} caracteres`);
+    }
+    return value.trim();
+}
+
+/**
+ * Public view of a job, with links to its results
+ * @param {Object} job - Job from the queue
+ * @returns {Object} Job fields plus links
+ */
+function describeJob(job) {
+    return {
+        ...job,
+        links: {
+            self: `/jobs/${job.id}`,
+            json: `/jobs/${job.id}/results?format=json`,
+            csv: `/jobs/${job.id}/results?format=csv`
+        }
+    };
+}
+
+/**
+ * Local HTTP service on top of a finder.
+ *
+ *   POST /lookup                  { name, company, position } -> search result (runs searchEmail)
+ *   POST /jobs[?format=&limit=]   contacts file upload -> 202 with the queued job
+ *   GET  /jobs                    every job, newest first
+ *   GET  /jobs/:id                status and progress of a job
+ *   GET  /jobs/:id/results        results so far (?format=json, default, or csv)
+ *   GET  /health                  liveness check
+ *
+ * Each job runs processConnections on a forked finder with its own input,
+ * progress store and results CSV under the jobs directory, so a job
+ * interrupted by a restart resumes where it stopped.
+ *
+ * Events: log { level, message }, as LinkedInEmailFinder
+ */
+class LookupServer extends EventEmitter {
+    /**
+     * @param {LinkedInEmailFinder} finder - Finder used for single lookups and forked for jobs
+     */
+    constructor(finder) {
+        super();
+        this.finder = finder;
+        this.config = finder.config.server;
+        this.maxBytes = this.config.maxUploadMb * 1024 * 1024;
+        this.queue = new JobQueue(this.config.jobsDir, this.config.jobConcurrency, job => this.runJob(job));
+        this.jobFinders = new Map();
+        this.server = null;
+
+        this.queue.on('job:start', job => {
+            this.info(`▶️ Trabajo ${job.id} iniciado (${job.inputName}${job.restarts > 0 ? ', reanudado' : ''})`);
+        });
+        this.queue.on('job:done', job => {
+            const outcome = {
+                completed: `✅ Trabajo ${job.id} completado: ${job.found} emails en ${job.processed} búsquedas`,
+                stopped: `⛔ Trabajo ${job.id} detenido: ${job.budgetStop}`,
+                failed: `❌ Trabajo ${job.id} falló: ${job.error}`,
+                queued: `⏸️ Trabajo ${job.id} interrumpido; se reanuda al volver a iniciar el servidor`
+            };
+            this.emit('log', { level: job.status === 'failed' ? 'warn' : 'info', message: outcome[job.status] });
+        });
+    }
+
+    /**
+     * @param {string} message - Spanish status message
+     */
+    info(message) {
+        this.emit('log', { level: 'info', message });
+    }
+
+    /**
+     * Listen for requests
+     * @returns {Promise<string>} Base URL
+     */
+    async start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, resolve);
+        });
+        const address = this.server.address();
+        return `http://${address.address}:${address.port}`;
+    }
+
+    /**
+     * Queue again the jobs a previous process left unfinished
+     * @returns {number} Number of jobs resumed
+     */
+    resumeJobs() {
+        const resumed = this.queue.restore();
+        if (resumed > 0) {
+            this.info(`🔄 ${resumed} trabajos pendientes vuelven a la cola`);
+        }
+        return resumed;
+    }
+
+    /**
+     * Stop accepting requests and let running jobs save their lookups in flight.
+     * Interrupted jobs stay queued and resume on the next start.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        for (const finder of this.jobFinders.values()) {
+            finder.stop();
+        }
+        const closed = new Promise(resolve => this.server.close(resolve));
+        await this.queue.close();
+        // Idle keep-alive connections would hold close() open
+        if (this.server.closeIdleConnections) this.server.closeIdleConnections();
+        await closed;
+    }
+
+    /**
+     * Answer with JSON
+     * @param {http.ServerResponse} res - Response
+     * @param {number} statusCode - HTTP status
+     * @param {Object} data - Response body
+     */
+    sendJson(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(data));
+    }
+
+    /**
+     * Route a request; errors become JSON { error } answers
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @returns {Promise<void>}
+     */
+    async handle(req, res) {
+        const startedAt = Date.now();
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (this.config.token && req.headers.authorization !== `Bearer ${this.config.token}`) {
+                throw new HttpError('Falta el token o no es válido (Authorization: Bearer ...)', 401);
+            }
+            await this.route(req, res, url);
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode === 500) {
+                this.emit('log', { level: 'warn', message: `❌ ${req.method} ${url.pathname}: ${error.message}` });
+            }
+            if (!res.headersSent) {
+                this.sendJson(res, statusCode, { error: error.message });
+            } else {
+                res.end();
+            }
+        }
+        this.info(`${req.method} ${url.pathname} → ${res.statusCode} (${Date.now() - startedAt} ms)`);
+    }
+
+    /**
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {URL} url - Parsed request URL
+     * @returns {Promise<void>}
+     */
+    async route(req, res, url) {
+        const parts = url.pathname.split('/').filter(Boolean);
+        const allow = methods => {
+            if (!methods.includes(req.method)) {
+                res.setHeader('Allow', methods.join(', '));
+                throw new HttpError(`Método ${req.method} no permitido en ${url.pathname}`, 405);
+            }
+        };
+
+        if (parts.length === 1 && parts[0] === 'health') {
+            allow(['GET']);
+            return this.sendJson(res, 200, { status: 'ok', jobs: { running: this.queue.running.size, queued: this.queue.pending.length } });
+        }
+        if (parts.length === 1 && parts[0] === 'lookup') {
+            allow(['POST']);
+            return this.sendJson(res, 200, await this.lookup(await readBody(req, this.maxBytes)));
+        }
+        if (parts[0] === 'jobs' && parts.length === 1) {
+            allow(['GET', 'POST']);
+            if (req.method === 'GET') {
+                return this.sendJson(res, 200, { jobs: this.queue.list().map(describeJob) });
+            }
+            const job = await this.createJob(req.headers['content-type'], await readBody(req, this.maxBytes), url.searchParams);
+            return this.sendJson(res, 202, describeJob(job));
+        }
+        if (parts[0] === 'jobs' && (parts.length === 2 || (parts.length === 3 && parts[2] === 'results'))) {
+            allow(['GET']);
+            const job = this.queue.get(parts[1]);
+            if (!job) {
+                throw new HttpError(`No existe el trabajo ${parts[1]}`, 404);
+            }
+            if (parts.length === 2) {
+                return this.sendJson(res, 200, describeJob(job));
+            }
+            return this.sendResults(res, job, (url.searchParams.get('format') || 'json').toLowerCase());
+        }
+        throw new HttpError(`Ruta desconocida: ${url.pathname}`, 404);
+    }
+
+    /**
+     * POST /lookup: search one person's email right away
+     * @param {Buffer} body - JSON body: { name, company, position }
+     * @returns {Promise<Object>} Search result
+     */
+    async lookup(body) {
+        const data = parseJsonBody(body);
+        const name = textField(data, 'name', true);
+        const company = textField(data, 'company');
+        const position = textField(data, 'position');
+
+        // Same name cleanup as contacts loaded from a file
+        const [connection] = this.finder.normalizeConnections([{ fullName: name, company, position }]);
+        if (!connection) {
+            throw new HttpError('El campo name no contiene un nombre');
+        }
+        return this.finder.searchEmail(connection['Full Name'], connection['Company'] || null, connection['Position'] || null);
+    }
+
+    /**
+     * POST /jobs: save the uploaded contacts, check they can be read, and queue the job
+     * @param {string} contentType - Content-Type header
+     * @param {Buffer} body - Raw body
+     * @param {URLSearchParams} params - Query string: format, limit
+     * @returns {Promise<Object>} Queued job
+     */
+    async createJob(contentType, body, params) {
+        const format = (params.get('format') || 'auto').toLowerCase();
+        if (!['auto', ...listInputFormats()].includes(format)) {
+            throw new HttpError(`Formato desconocido: ${format} (disponibles: auto, ${listInputFormats().join(', ')})`);
+        }
+        let limit = null;
+        if (params.has('limit')) {
+            limit = parseInt(params.get('limit'));
+            if (!(limit > 0) || String(limit) !== params.get('limit').trim()) {
+                throw new HttpError('limit debe ser un número positivo');
+            }
+        }
+
+        const upload = extractUpload(contentType, body);
+        if (upload.content.length === 0) {
+            throw new HttpError('El archivo de contactos está vacío');
+        }
+
+        const id = this.queue.newId();
+        const dir = this.queue.jobDir(id);
+        const inputFile = `input${path.extname(upload.filename).toLowerCase() || '.csv'}`;
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, inputFile), upload.content);
+
+        let loaded;
+        try {
+            loaded = await loadInput(path.join(dir, inputFile), format);
+            if (loaded.connections.length === 0) {
+                throw new Error('El archivo no tiene contactos');
+            }
+        } catch (error) {
+            fs.rmSync(dir, { recursive: true, force: true });
+            throw new HttpError(`No se pudo leer el archivo de contactos: ${error.message}`);
+        }
+
+        const missing = loaded.connections.filter(conn => !conn['Email']).length;
+        return this.queue.add({
+            inputName: path.basename(upload.filename),
+            inputFile,
+            format,
+            limit,
+            contacts: loaded.connections.length,
+            total: limit ? Math.min(limit, missing) : missing,
+            processed: 0,
+            found: 0,
+            failed: 0,
+            tokens: 0,
+            cost: 0,
+            budgetStop: ''
+        }, id);
+    }
+
+    /**
+     * Run a job's lookups on a forked finder whose files live in the job directory
+     * @param {Object} job - Job from the queue
+     * @returns {Promise<void>}
+     */
+    async runJob(job) {
+        const dir = this.queue.jobDir(job.id);
+        const finder = this.finder.fork({
+            input: { file: path.join(dir, job.inputFile), format: job.format },
+            store: { file: path.join(dir, 'progress.jsonl') },
+            output: { file: path.join(dir, 'results.csv') }
+        });
+        finder.on('log', ({ level, message }) => {
+            if (level === 'warn') this.emit('log', { level, message: `[${job.id}] ${message.trim()}` });
+        });
+
+        // Progress counts everything in the job's store, so it carries over a restart
+        const tally = results => {
+            job.processed = results.length;
+            job.found = results.filter(r => r.email).length;
+            job.failed = results.filter(r => r.status === 'error').length;
+            job.tokens = results.reduce((sum, r) => sum + (r.tokens || 0), 0);
+            job.cost = Math.round(results.reduce((sum, r) => sum + (r.cost || 0), 0) * 1e6) / 1e6;
+        };
+        let results = finder.openStore().values();
+        tally(results);
+        finder.on('lookup:done', () => {
+            tally(finder.store.values());
+            this.queue.save(job);
+        });
+
+        // The limit covers the whole job, including lookups made before a restart
+        const limit = job.limit ? job.limit - results.length : null;
+        if (limit !== null && limit <= 0) return;
+
+        this.jobFinders.set(job.id, finder);
+        try {
+            const connections = await finder.loadConnections(finder.config.input.file, job.format);
+            // Always resume: a new job starts on an empty store, a restarted one continues it.
+            // processConnections clears stop requests, so one made while the file loaded is checked here.
+            if (!finder.stopRequested) {
+                results = await finder.processConnections(connections, limit, true);
+            }
+        } finally {
+            this.jobFinders.delete(job.id);
+        }
+        tally(results);
+
+        if (finder.stopRequested) {
+            job.status = 'queued';
+        } else if (finder.budgetStop) {
+            job.status = 'stopped';
+            job.budgetStop = finder.budgetStop;
+        }
+    }
+
+    /**
+     * GET /jobs/:id/results: the job's results so far
+     * @param {http.ServerResponse} res - Response
+     * @param {Object} job - Job
+     * @param {string} format - json or csv
+     */
+    sendResults(res, job, format) {
+        const dir = this.queue.jobDir(job.id);
+        if (format === 'csv') {
+            const csvFile = path.join(dir, 'results.csv');
+            if (!fs.existsSync(csvFile)) {
+                throw new HttpError(`El trabajo ${job.id} todavía no tiene resultados`, 404);
+            }
+            res.writeHead(200, {
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="${job.id}.csv"`
+            });
+            fs.createReadStream(csvFile)
+                .on('error', error => {
+                    // Headers are already out, so the client gets a truncated file rather than an error body
+                    this.emit('log', { level: 'warn', message: `❌ No se pudo leer ${csvFile}: ${error.message}` });
+                    res.end();
+                })
+                .pipe(res);
+            return;
+        }
+        if (format !== 'json') {
+            throw new HttpError(`Formato de resultados desconocido: ${format} (disponibles: json, csv)`);
+        }
+
+        const store = new ResultStore(path.join(dir, 'progress.jsonl'));
+        store.onWarning = message => this.emit('log', { level: 'warn', message });
+        const results = store.values().map(({ type, ...result }) => result);
+        this.sendJson(res, 200, { job: describeJob(job), results });
+    }
+}
+
+module.exports = { LookupServer, HttpError, extractUpload };
@@ -0,0 +1,320 @@
+const fs = require('fs');
+const { normalizeProfileUrl, nameKey } = require('./name-normalizer');
+
+// Default seniority ranking for --priority seniority: earlier keywords go first
+const DEFAULT_SENIORITY_KEYWORDS = [
+    'ceo', 'founder', 'co founder', 'cofounder', 'fundador', 'owner', 'dueño', 'president', 'presidente',
+    'cto', 'cfo', 'coo', 'cmo', 'cio', 'chief', 'partner', 'socio',
+    'vp', 'vice president', 'vicepresidente', 'director', 'directora', 'head', 'gerente', 'jefe', 'jefa',
+    'manager', 'lead', 'lider'
+];
+
+const PRIORITIES = ['file', 'recent', 'seniority'];
+
+// Labels for the reasons returned by rejectReason(), for logs
+const REJECT_REASONS = {
+    excluded: 'lista de exclusión',
+    not_included: 'fuera de la lista',
+    company: 'empresa',
+    position: 'cargo',
+    connected_on: 'fecha de conexión'
+};
+
+const MONTHS = {
+    jan: 0, ene: 0, feb: 1, mar: 2, apr: 3, abr: 3, may: 4, jun: 5,
+    jul: 6, aug: 7, ago: 7, sep: 8, set: 8, oct: 9, nov: 10, dec: 11, dic: 11
+};
+
+/**
+ * Lowercase, strip accents and reduce punctuation to single spaces
+ * @param {string} value - Text to fold
+ * @returns {string} Folded text ("Head of Ventas, LATAM" -> "head of ventas latam")
+ */
+function foldText(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Build a matcher from "/regex/flags" or a comma-separated keyword list.
+ * Keywords match whole words or phrases, ignoring case and accents.
+ * @param {string} spec - Pattern specification
+ * @param {string} label - Setting name for error messages
+ * @returns {Function|null} (text) => boolean, or null if spec is empty
+ */
+function buildMatcher(spec, label) {
+    if (!spec) return null;
+
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(spec.trim());
+    if (regex) {
+        let pattern;
+        try {
+            pattern = new RegExp(regex[1], regex[2].includes('i') ? regex[2] : regex[2] + 'i');
+        } catch (error) {
+            throw new Error(`Expresión regular inválida en ${label}: ${error.message}`);
+        }
+        return text => pattern.test(String(text || ''));
+    }
+
+    const keywords = spec.split(',').map(foldText).filter(Boolean);
+    if (keywords.length === 0) return null;
+    return text => {
+        const folded = ` ${foldText(text)} `;
+        return keywords.some(keyword => folded.includes(` ${keyword} `));
+    };
+}
+
+/**
+ * Parse a "Connected On" value. LinkedIn exports use "15 Mar 2023";
+ * other sources use ISO dates.
+ * @param {string} value - Raw date
+ * @returns {Date|null} Date (UTC midnight), or null if it can't be parsed
+ */
+function parseConnectedOn(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    let match = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?/.exec(text);
+    if (match) {
+        return new Date(Date.UTC(+match[1], +match[2] - 1, match[3] ? +match[3] : 1));
+    }
+
+    match = /^(\d{1,2})[\s-]+([a-z]{3})[a-z]*\.?[\s-]+(\d{4})$/i.exec(text);
+    if (match && MONTHS[match[2].toLowerCase()] !== undefined) {
+        return new Date(Date.UTC(+match[3], MONTHS[match[2].toLowerCase()], +match[1]));
+    }
+
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? null : new Date(parsed);
+}
+
+/**
+ * Parse a date range bound (YYYY-MM-DD or YYYY-MM)
+ * @param {string} value - Bound from the configuration
+ * @param {string} label - Setting name for error messages
+ * @param {boolean} endOfPeriod - For YYYY-MM upper bounds, use the last day of the month
+ * @returns {Date|null} Date, or null if unset
+ */
+function parseBound(value, label, endOfPeriod = false) {
+    if (!value) return null;
+    const match = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/.exec(value.trim());
+    if (!match) {
+        throw new Error(`Fecha inválida en ${label}: ${value} (usa AAAA-MM-DD o AAAA-MM)`);
+    }
+    if (!match[3] && endOfPeriod) {
+        return new Date(Date.UTC(+match[1], +match[2], 0));
+    }
+    return new Date(Date.UTC(+match[1], +match[2] - 1, match[3] ? +match[3] : 1));
+}
+
+/**
+ * Read an include/exclude list: one name or profile URL per line, # for comments
+ * @param {string} filePath - List file
+ * @returns {Object} { names: Set, urls: Set }
+ */
+function loadPeopleList(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`El archivo de lista ${filePath} no existe`);
+    }
+
+    const names = new Set();
+    const urls = new Set();
+    for (const rawLine of fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+        if (/linkedin\.com\/|^https?:\/\//i.test(line)) {
+            urls.add(normalizeProfileUrl(line));
+        } else {
+            names.add(nameKey(line));
+        }
+    }
+    return { names, urls };
+}
+
+/**
+ * Decides which connections get searched and in what order.
+ *
+ * Filters (all optional, combined with AND): company and position patterns,
+ * a connected-on date range, and include/exclude lists of names or profile
+ * URLs. Priorities reorder what is left so `-n` and budget limits go to the
+ * contacts that matter most.
+ */
+class ConnectionTargeting {
+    /**
+     * @param {Object} config - Targeting configuration section (see lib/config.js)
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.companyMatcher = buildMatcher(config.company, 'TARGET_COMPANY');
+        this.positionMatcher = buildMatcher(config.position, 'TARGET_POSITION');
+        this.connectedAfter = parseBound(config.connectedAfter, 'TARGET_CONNECTED_AFTER');
+        this.connectedBefore = parseBound(config.connectedBefore, 'TARGET_CONNECTED_BEFORE', true);
+        this.includeList = config.includeFile ? loadPeopleList(config.includeFile) : null;
+        this.excludeList = config.excludeFile ? loadPeopleList(config.excludeFile) : null;
+
+        this.priorities = String(config.priority || 'file').toLowerCase().split(',').map(p => p.trim()).filter(Boolean);
+        for (const priority of this.priorities) {
+            if (!PRIORITIES.includes(priority)) {
+                throw new Error(`Prioridad desconocida: ${priority} (disponibles: ${PRIORITIES.join(', ')})`);
+            }
+        }
+        this.seniorityKeywords = (config.seniorityKeywords && config.seniorityKeywords.length > 0
+            ? config.seniorityKeywords
+            : DEFAULT_SENIORITY_KEYWORDS).map(foldText).filter(Boolean);
+    }
+
+    /**
+     * Whether any filter is configured
+     * @returns {boolean} True if some connections may be left out
+     */
+    get hasFilters() {
+        return Boolean(this.companyMatcher || this.positionMatcher || this.connectedAfter ||
+            this.connectedBefore || this.includeList || this.excludeList);
+    }
+
+    /**
+     * Whether filters or a non-default order are configured
+     * @returns {boolean} True if targeting changes what gets searched
+     */
+    get active() {
+        return this.hasFilters || this.priorities.some(p => p !== 'file');
+    }
+
+    /**
+     * Whether a connection is on a people list
+     * @param {Object} list - { names, urls }
+     * @param {Object} connection - Normalized connection
+     * @returns {boolean} True if its profile URL or name is listed
+     */
+    isListed(list, connection) {
+        const url = normalizeProfileUrl(connection['URL']);
+        return (url && list.urls.has(url)) || list.names.has(nameKey(connection['Full Name']));
+    }
+
+    /**
+     * Why a connection is left out
+     * @param {Object} connection - Normalized connection
+     * @returns {string|null} Reason, or null if it passes every filter
+     */
+    rejectReason(connection) {
+        if (this.excludeList && this.isListed(this.excludeList, connection)) return 'excluded';
+        if (this.includeList && !this.isListed(this.includeList, connection)) return 'not_included';
+        if (this.companyMatcher && !this.companyMatcher(connection['Company'])) return 'company';
+        if (this.positionMatcher && !this.positionMatcher(connection['Position'])) return 'position';
+
+        if (this.connectedAfter || this.connectedBefore) {
+            const date = parseConnectedOn(connection['Connected On']);
+            // Without a date there is no way to tell whether it's in range
+            if (!date) return 'connected_on';
+            if (this.connectedAfter && date < this.connectedAfter) return 'connected_on';
+            if (this.connectedBefore && date > this.connectedBefore) return 'connected_on';
+        }
+        return null;
+    }
+
+    /**
+     * Keep only the connections that pass the filters
+     * @param {Array<Object>} connections - Normalized connections
+     * @returns {Object} { selected, rejected: { reason: count } }
+     */
+    filter(connections) {
+        const selected = [];
+        const rejected = {};
+        for (const connection of connections) {
+            const reason = this.rejectReason(connection);
+            if (reason) {
+                rejected[reason] = (rejected[reason] || 0) + 1;
+            } else {
+                selected.push(connection);
+            }
+        }
+        return { selected, rejected };
+    }
+
+    /**
+     * Seniority rank of a position
+     * @param {string} position - Job title
+     * @returns {number} Index of the first matching keyword (lower is more senior), Infinity if none
+     */
+    seniorityRank(position) {
+        const folded = ` ${foldText(position)} `;
+        const index = this.seniorityKeywords.findIndex(keyword => folded.includes(` ${keyword} `));
+        return index === -1 ? Infinity : index;
+    }
+
+    /**
+     * Sort connections by the configured priorities (stable: ties keep file order)
+     * @param {Array<Object>} connections - Normalized connections
+     * @returns {Array<Object>} New, reordered array
+     */
+    prioritize(connections) {
+        const comparators = this.priorities.filter(p => p !== 'file').map(priority => {
+            if (priority === 'recent') {
+                // Undated connections go last
+                return (a, b) => b.connectedOn - a.connectedOn;
+            }
+            return (a, b) => (a.seniority === b.seniority ? 0 : a.seniority - b.seniority);
+        });
+        if (comparators.length === 0) return [...connections];
+
+        return connections
+            .map((connection, index) => {
+                const date = parseConnectedOn(connection['Connected On']);
+                return {
+                    connection,
+                    index,
+                    connectedOn: date ? date.getTime() : -Infinity,
+                    seniority: this.seniorityRank(connection['Position'])
+                };
+            })
+            .sort((a, b) => {
+                for (const compare of comparators) {
+                    const order = compare(a, b);
+                    if (order) return order;
+                }
+                return a.index - b.index;
+            })
+            .map(entry => entry.connection);
+    }
+
+    /**
+     * Filter and prioritize in one step
+     * @param {Array<Object>} connections - Normalized connections
+     * @returns {Object} { selected, rejected }
+     */
+    apply(connections) {
+        const { selected, rejected } = this.filter(connections);
+        return { selected: this.prioritize(selected), rejected };
+    }
+
+    /**
+     * Short description of the active settings, for logs
+     * @returns {string} e.g. "empresa: acme, globex · prioridad: seniority"
+     */
+    describe() {
+        const parts = [];
+        if (this.config.company) parts.push(`empresa: ${this.config.company}`);
+        if (this.config.position) parts.push(`cargo: ${this.config.position}`);
+        if (this.connectedAfter || this.connectedBefore) {
+            parts.push(`conectados: ${this.config.connectedAfter || '…'} → ${this.config.connectedBefore || '…'}`);
+        }
+        if (this.includeList) parts.push(`solo lista: ${this.config.includeFile}`);
+        if (this.excludeList) parts.push(`excluir lista: ${this.config.excludeFile}`);
+        if (this.priorities.some(p => p !== 'file')) parts.push(`prioridad: ${this.priorities.join(', ')}`);
+        return parts.join(' · ');
+    }
+}
+
+module.exports = {
+    ConnectionTargeting,
+    buildMatcher,
+    parseConnectedOn,
+    foldText,
+    DEFAULT_SENIORITY_KEYWORDS,
+    PRIORITIES,
+    REJECT_REASONS
+};
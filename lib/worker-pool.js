@@ -0,0 +1,57 @@
+/**
+ * Process items with a fixed number of concurrent workers.
+ *
+ * Each worker pulls the next unclaimed item, so a slow lookup never holds up
+ * the others. If a handler throws, no new items are started and the first
+ * error is rethrown once the in-flight items have finished.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Number of workers
+ * @param {Function} handler - async (item, index, workerId) => void
+ * @param {Object} options - { shouldStop: () => boolean } to stop pulling new items early
+ * @returns {Promise<void>}
+ */
+async function runWorkerPool(items, concurrency, handler, options = {}) {
+    const workerCount = Math.max(1, Math.min(concurrency || 1, items.length));
+    const shouldStop = options.shouldStop || (() => false);
+    let next = 0;
+    let firstError = null;
+
+    const worker = async (workerId) => {
+        while (next < items.length && !firstError && !shouldStop()) {
+            const index = next++;
+            try {
+                await handler(items[index], index, workerId);
+            } catch (error) {
+                if (!firstError) firstError = error;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: workerCount }, (_, workerId) => worker(workerId)));
+
+    if (firstError) throw firstError;
+}
+
+/**
+ * Queue that runs async tasks one at a time in submission order, so writes
+ * from concurrent workers never interleave.
+ */
+class SerialQueue {
+    constructor() {
+        this.tail = Promise.resolve();
+    }
+
+    /**
+     * Run a task after every previously queued task has finished
+     * @param {Function} task - async () => any
+     * @returns {Promise<*>} The task's result
+     */
+    run(task) {
+        const result = this.tail.then(task);
+        this.tail = result.catch(() => {});
+        return result;
+    }
+}
+
+module.exports = { runWorkerPool, SerialQueue };
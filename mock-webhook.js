@@ -0,0 +1,36 @@
+const http = require('http');
+
+// Local endpoint for trying DELIVERY_URL without a real CRM.
+// Prints every request it receives; MOCK_FAIL_RATE (0-1) makes it answer
+// 503 at random to exercise retries and the dead-letter file.
+const port = parseInt(process.env.MOCK_PORT) || 4000;
+const failRate = parseFloat(process.env.MOCK_FAIL_RATE) || 0;
+let received = 0;
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received++;
+        if (Math.random() < failRate) {
+            console.log(`❌ #${received} ${req.method} ${req.url} → 503 (fallo simulado)`);
+            res.writeHead(503, { 'Retry-After': '1' });
+            res.end();
+            return;
+        }
+
+        console.log(`📥 #${received} ${req.method} ${req.url}${req.headers.authorization ? ` [${req.headers.authorization}]` : ''}`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch (error) {
+            console.log(body);
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"status":"ok"}');
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🧪 Webhook de prueba escuchando en http://localhost:${port}/ (Ctrl+C para salir)`);
+    console.log(`   Usa DELIVERY_URL=http://localhost:${port}/webhook`);
+});
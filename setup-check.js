@@ -1,5 +1,7 @@
 const fs = require('fs');
 require('dotenv').config();
+const { loadConfig } = require('./lib/config');
+const { createLLMBackend } = require('./lib/llm-backend');
 
 console.log('🔧 Verificando configuración del LinkedIn Email Finder...\n');
 
@@ -11,9 +13,16 @@ console.log(`✅ Node.js version: ${nodeVersion}`);
 const envExists = fs.existsSync('.env');
 console.log(`${envExists ? '✅' : '❌'} Archivo .env: ${envExists ? 'encontrado' : 'no encontrado'}`);
 
-// Check OpenAI API key
-const openaiKey = process.env.OPENAI_API_KEY;
-console.log(`${openaiKey ? '✅' : '❌'} OPENAI_API_KEY: ${openaiKey ? 'configurada' : 'no configurada'}`);
+// Check OpenAI API key (not needed when a local OpenAI-compatible server is configured)
+// The key comes from LLM_API_KEY or OPENAI_API_KEY (see lib/config.js)
+const llmConfig = loadConfig().llm;
+const llm = createLLMBackend(llmConfig);
+const openaiKey = llmConfig.apiKey || !llm.requiresApiKey();
+if (llm.isLocal()) {
+    console.log(`✅ Modelo local: ${llm.model} en ${llm.baseUrl}`);
+} else {
+    console.log(`${openaiKey ? '✅' : '❌'} LLM_API_KEY / OPENAI_API_KEY: ${openaiKey ? 'configurada' : 'no configurada'}`);
+}
 
 // Check if Connections.csv exists
 const connectionsExists = fs.existsSync('Connections.csv');
@@ -22,7 +31,6 @@ console.log(`${connectionsExists ? '✅' : '⚠️'} Archivo Connections.csv: ${
 // Check dependencies
 try {
     require('openai');
-    require('csv-parser');
     require('csv-writer');
     require('cli-progress');
     console.log('✅ Dependencias: todas instaladas correctamente');